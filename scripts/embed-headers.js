@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Framing headers of the embeddable widget (src/embed.html)
+ * The sites that may frame the widget are listed in embed-origins.json. This script writes them
+ * into the /embed.html route of src/staticwebapp.config.json, where they replace the global
+ * X-Frame-Options: DENY that keeps the rest of the site out of frames.
+ *
+ * Usage:
+ *   node scripts/embed-headers.js    Update src/staticwebapp.config.json after editing embed-origins.json
+ *
+ * The tests check that the committed configuration matches embed-origins.json.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Sites allowed to frame the widget, e.g. "https://www.zwijntje.nl"
+const EMBED_ORIGINS_PATH = path.join(__dirname, 'embed-origins.json');
+
+// Azure Static Web Apps configuration and the route of the widget page
+const STATIC_WEB_APP_CONFIG_PATH = path.join(__dirname, '../src/staticwebapp.config.json');
+const EMBED_ROUTE = '/embed.html';
+
+/**
+ * Load and validate the allowed origins: scheme and host (and port) only, no path
+ */
+function loadAllowedOrigins(filePath) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  
+  if (!Array.isArray(config.allowedOrigins)) {
+    throw new Error(`${filePath} must have an "allowedOrigins" list`);
+  }
+  
+  config.allowedOrigins.forEach(origin => {
+    let parsed = null;
+    try {
+      parsed = new URL(origin);
+    } catch (error) {
+      // Reported below
+    }
+    if (!parsed || parsed.protocol !== 'https:' || parsed.origin !== origin) {
+      throw new Error(`Invalid origin "${origin}" in ${filePath}: use https://<host> without a path`);
+    }
+  });
+  
+  return config.allowedOrigins;
+}
+
+/**
+ * Headers of the widget page: the allowed frame ancestors, and an empty X-Frame-Options, which
+ * removes the global DENY (route headers override global headers with the same name)
+ */
+function buildEmbedHeaders(origins) {
+  return {
+    'Content-Security-Policy': ["frame-ancestors 'self'", ...origins].join(' '),
+    'X-Frame-Options': ''
+  };
+}
+
+/**
+ * Return a copy of the Static Web Apps configuration with the widget headers applied
+ */
+function applyEmbedHeaders(config, origins) {
+  const updated = JSON.parse(JSON.stringify(config));
+  const route = (updated.routes || []).find(r => r.route === EMBED_ROUTE);
+  if (!route) {
+    throw new Error(`No ${EMBED_ROUTE} route in the Static Web Apps configuration`);
+  }
+  
+  route.headers = { ...route.headers, ...buildEmbedHeaders(origins) };
+  return updated;
+}
+
+function main() {
+  const origins = loadAllowedOrigins(EMBED_ORIGINS_PATH);
+  const config = JSON.parse(fs.readFileSync(STATIC_WEB_APP_CONFIG_PATH, 'utf8'));
+  
+  fs.writeFileSync(STATIC_WEB_APP_CONFIG_PATH, `${JSON.stringify(applyEmbedHeaders(config, origins), null, 2)}\n`);
+  console.log(`✅ ${EMBED_ROUTE} may be framed by: ${origins.join(', ') || 'this site only'}`);
+}
+
+module.exports = {
+  EMBED_ORIGINS_PATH,
+  STATIC_WEB_APP_CONFIG_PATH,
+  loadAllowedOrigins,
+  buildEmbedHeaders,
+  applyEmbedHeaders
+};
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error('❌ Fatal error:', error.message);
+    process.exit(1);
+  }
+}
@@ -3,87 +3,213 @@
 /**
  * Data extraction script for Zwijntje Hall of Fame
  * Fetches championship data from www.zwijntje.nl and processes it into JSON
+ * The pages, their table layout and display labels are defined in sources.json.
+ * Titles that are missing or wrong on the website are corrected in manual-results.json.
+ *
+ * Every online run saves the fetched pages as a dated HTML snapshot in snapshots/<timestamp>/.
+ *
+ * Usage:
+ *   node scripts/extract-data.js                        Fetch the live pages (conditional requests)
+ *   node scripts/extract-data.js --offline              Parse the most recent snapshot instead
+ *   node scripts/extract-data.js --from-snapshots <dir> Parse a specific snapshot directory
+ *   node scripts/extract-data.js --no-snapshots         Fetch without saving a snapshot
+ *   node scripts/extract-data.js --report <file>        Also write the change report as JSON
+ *   node scripts/extract-data.js --force                Save even when validation fails
+ *   node scripts/extract-data.js --suggest-aliases      List probable duplicate players instead of saving
+ *   node scripts/extract-data.js --api-only             Only rebuild the static API from the data file
+ *
+ * The new results are compared with the previous data file. When a source fails or returns
+ * no rows, or historical titles disappear, the data file is left untouched and the script
+ * exits with code 1 (unless --force is given). A source that fails to load always keeps its
+ * previous results, so a failed fetch never wipes a category.
+ *
+ * Next to the data file, a small static API is written to src/data/api/v1/ (index, players,
+ * years and categories; the format is described in schema.json there).
  */
 
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const { parseTables } = require('./html-table');
 
-// Data sources configuration
-const DATA_SOURCES = [
-  {
-    name: 'Doubletten Kampioenschappen',
-    url: 'https://www.zwijntje.nl/vereniging/eregalerij/clubkampioenschappen/doubletten/',
-    type: 'championship',
-    category: 'doubletten'
-  },
-  {
-    name: 'Mix Kampioenschappen',
-    url: 'https://www.zwijntje.nl/vereniging/eregalerij/clubkampioenschappen/mix/',
-    type: 'championship',
-    category: 'mix'
-  },
-  {
-    name: 'Tête-à-tête Kampioenschappen',
-    url: 'https://www.zwijntje.nl/vereniging/eregalerij/clubkampioenschappen/tete-a-tete/',
-    type: 'championship',
-    category: 'tete-a-tete'
-  },
-  {
-    name: 'Tripletten Kampioenschappen',
-    url: 'https://www.zwijntje.nl/vereniging/eregalerij/clubkampioenschappen/tripletten/',
-    type: 'championship',
-    category: 'tripletten'
-  },
-  {
-    name: 'Doubletten Competities',
-    url: 'https://www.zwijntje.nl/vereniging/eregalerij/clubcompetities/doubletten/',
-    type: 'competition',
-    category: 'doubletten'
-  },
-  {
-    name: 'Tripletten Competities',
-    url: 'https://www.zwijntje.nl/vereniging/eregalerij/clubcompetities/tripletten/',
-    type: 'competition',
-    category: 'tripletten'
-  },
-  {
-    name: 'Zomercyclus',
-    url: 'https://www.zwijntje.nl/vereniging/eregalerij/clubcompetities/zomercyclus/',
-    type: 'competition',
-    category: 'zomercyclus'
-  }
-];
+
+// Generated data file, also the baseline for the change report
+const OUTPUT_PATH = path.join(__dirname, '../src/data/halloffame.json');
+
+// Static API for other sites (newsletter, zwijntje.nl): one small JSON file per player, year and category
+const API_VERSION = 1;
+const API_DIR = path.join(__dirname, `../src/data/api/v${API_VERSION}`);
+const API_SUBDIRS = ['players', 'years', 'categories'];
+
+// Dated HTML snapshots of the fetched pages, one directory per run
+const SNAPSHOT_ROOT = path.join(__dirname, '../snapshots');
+const SNAPSHOT_MANIFEST = 'manifest.json';
+
+// Poules a source table can have; only Poule A counts towards the hall of fame totals
+const POULES = ['A', 'B', 'C'];
+
+// Data sources, their table layout and display labels
+const SOURCES_PATH = path.join(__dirname, 'sources.json');
+
+// Manual results ledger: additions, overrides and suppressions of titles
+const MANUAL_RESULTS_PATH = path.join(__dirname, 'manual-results.json');
+
+// Registry of players known under more than one name
+const NAME_ALIASES_PATH = path.join(__dirname, 'name-aliases.json');
+
+// Name particles ignored when looking for duplicates ("van", "van de", "van den", ...)
+const NAME_PARTICLES = ['van', 'de', 'den', 'der', 'het', "'t", 'ter', 'ten', 'te'];
+
+/**
+ * Load the name-alias registry
+ * Returns { mappings, notDuplicates }: mappings maps each normalized alias to the canonical name,
+ * notDuplicates lists pairs of different players with similar names
+ */
+function loadNameAliases(filePath) {
+  const registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const mappings = {};
+  
+  (registry.players || []).forEach(player => {
+    if (!player.name || !Array.isArray(player.aliases)) {
+      throw new Error(`Invalid entry in ${filePath}: ${JSON.stringify(player)}`);
+    }
+    
+    player.aliases.forEach(alias => {
+      const key = normalizeName(alias);
+      if (mappings[key] && mappings[key] !== player.name) {
+        throw new Error(`Alias "${alias}" is used for both ${mappings[key]} and ${player.name} in ${filePath}`);
+      }
+      mappings[key] = player.name;
+    });
+  });
+  
+  return { mappings, notDuplicates: registry.notDuplicates || [] };
+}
+
+const NAME_ALIASES = loadNameAliases(NAME_ALIASES_PATH);
+
+/**
+ * Load and validate the data source configuration
+ * Every source declares its URL, type, table columns (year first, then one column per poule
+ * or division, optionally with its header text), whether a cell holds a team or a single winner,
+ * and its display labels and points
+ */
+function loadSourceConfig(filePath) {
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const typeKeys = (config.types || []).map(type => type.key);
+  const invalid = (source, message) => new Error(`Invalid source "${source.name}" in ${filePath}: ${message}`);
+  const isWeight = value => typeof value === 'number' && value >= 0;
+  
+  Object.entries((config.points && config.points.poules) || {}).forEach(([poule, weight]) => {
+    if (!POULES.includes(poule) || !isWeight(weight)) {
+      throw new Error(`Invalid poule weight "${poule}" in ${filePath}: use poule A, B or C and a number of 0 or more`);
+    }
+  });
+  
+  (config.sources || []).forEach(source => {
+    if (!source.name || !source.url || !source.category) {
+      throw invalid(source, 'name, url and category are required');
+    }
+    if (!typeKeys.includes(source.type)) {
+      throw invalid(source, `unknown type "${source.type}"`);
+    }
+    if (!['team', 'single'].includes(source.winners)) {
+      throw invalid(source, 'winners must be "team" or "single"');
+    }
+    
+    const [yearColumn, ...columns] = source.columns || [];
+    if (yearColumn !== 'year' || columns.length === 0) {
+      throw invalid(source, 'columns must start with "year", followed by at least one poule or division');
+    }
+    columns.forEach(column => {
+      if (column.poule && !POULES.includes(column.poule)) {
+        throw invalid(source, `unknown poule "${column.poule}"`);
+      }
+      if (!column.poule && !column.division) {
+        throw invalid(source, 'every column after "year" needs a poule or division');
+      }
+      if (column.header && ![].concat(column.header).every(header => typeof header === 'string')) {
+        throw invalid(source, 'header must be a text or a list of texts');
+      }
+      if (column.division && !column.display) {
+        throw invalid(source, `division "${column.division}" has no display labels`);
+      }
+    });
+    if (!columns.some(column => column.division) && !source.display) {
+      throw invalid(source, 'display labels are missing');
+    }
+    [source.display, ...columns.map(column => column.display)].forEach(display => {
+      if (display && display.points !== undefined && !isWeight(display.points)) {
+        throw invalid(source, 'points must be a number of 0 or more');
+      }
+    });
+  });
+  
+  return config;
+}
+
+const SOURCE_CONFIG = loadSourceConfig(SOURCES_PATH);
+
+// Data sources configuration (see sources.json)
+const DATA_SOURCES = SOURCE_CONFIG.sources;
+
+/**
+ * Get the categories shown as columns on the website, in configuration order
+ * A source with divisions gives one category per division
+ */
+function getCategoryDefinitions(config) {
+  return config.sources.flatMap(source => {
+    const type = config.types.find(t => t.key === source.type);
+    const divisions = source.columns.filter(column => column.division);
+    const entries = divisions.length > 0
+      ? divisions.map(column => ({ division: column.division, display: column.display }))
+      : [{ display: source.display }];
+    
+    return entries.map(({ division, display }) => ({
+      key: getCategoryKey({ type: source.type, category: source.category, division }),
+      type: source.type,
+      category: source.category,
+      ...(division && { division }),
+      column: display.column,
+      icon: display.icon || type.icon,
+      points: display.points === undefined ? 1 : display.points,
+      label: display.label,
+      shortLabel: display.shortLabel
+    }));
+  });
+}
+
+/**
+ * Get the points scheme: a title is worth the points of its category times the weight of its poule
+ * Categories without points count 1, poules without a weight count fully
+ */
+function getPointsScheme(config) {
+  const pouleWeights = (config.points && config.points.poules) || {};
+  
+  return {
+    categories: Object.fromEntries(getCategoryDefinitions(config).map(category => [category.key, category.points])),
+    poules: Object.fromEntries(POULES.map(poule => [poule, pouleWeights[poule] === undefined ? 1 : pouleWeights[poule]]))
+  };
+}
+
+const POINTS_SCHEME = getPointsScheme(SOURCE_CONFIG);
 
 /**
  * Name mapping for handling same people with different names
- * Maps variations to the canonical name to use
- */
-const NAME_MAPPINGS = {
-  'anette van velzen': 'Anette Boluijt',
-  'vikas arumugan': 'Vikas Arumugam',
-  'roy derksen': 'Roy Derks',
-  'jan van de bosch': 'Jan van den Bosch',
-  'chantal kamphuis': 'Chantal Brinks-Kamphuis',
-  'bert jan rietveld': 'Bert-Jan Rietveld',
-  'raja anton': 'Jesurajah Anton'
-};
+ * Maps variations to the canonical name to use (see name-aliases.json)
+ */
+const NAME_MAPPINGS = NAME_ALIASES.mappings;
 
 /**
- * Normalize a person's name for matching
- * Handles accents, case, and common variations
+ * Normalize a person's name for matching: accents removed, lowercase, single spaces
+ * The site uses the same function (src/scripts/main.js), so both give the same key for a name
  */
 function normalizeName(name) {
   return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
     .toLowerCase()
     .trim()
-    .replace(/[éèêë]/g, 'e')
-    .replace(/[áàâä]/g, 'a')
-    .replace(/[íìîï]/g, 'i')
-    .replace(/[óòôö]/g, 'o')
-    .replace(/[úùûü]/g, 'u')
-    .replace(/ç/g, 'c')
-    .replace(/ñ/g, 'n')
     .replace(/\s+/g, ' ');
 }
 
@@ -110,9 +236,9 @@ function extractNames(text) {
     return [];
   }
   
-  // Split by comma or " en " (Dutch for "and")
+  // Split by comma, " en " (Dutch for "and") or line break
   const names = text
-    .split(/,|\sen\s/)
+    .split(/,|\sen\s|\n/)
     .map(name => name.trim())
     .filter(name => name && name !== '–' && name !== '-');
   
@@ -121,11 +247,12 @@ function extractNames(text) {
 
 /**
  * Fetch HTML content from a URL with retry logic
+ * Resolves with { statusCode, body, headers } for 200 and 304 (not modified) responses
  */
-function fetchUrl(url, retries = 3, delayMs = 500) {
+function fetchUrl(url, headers = {}, retries = 3, delayMs = 500) {
   return new Promise((resolve, reject) => {
     function attempt(remainingRetries, currentDelay) {
-      const req = https.get(url, (res) => {
+      const req = https.get(url, { headers }, (res) => {
         let data = '';
         
         res.on('data', (chunk) => {
@@ -138,8 +265,8 @@ function fetchUrl(url, retries = 3, delayMs = 500) {
           // Retry on common transient status codes
           const shouldRetryStatus = statusCode === 429 || (statusCode >= 500 && statusCode < 600);
           
-          if (statusCode === 200) {
-            resolve(data);
+          if (statusCode === 200 || statusCode === 304) {
+            resolve({ statusCode, body: data, headers: res.headers });
           } else if (shouldRetryStatus && remainingRetries > 0) {
             console.log(`   ⚠ Status ${statusCode}, retrying... (${remainingRetries} attempts left)`);
             setTimeout(() => {
@@ -168,166 +295,332 @@ function fetchUrl(url, retries = 3, delayMs = 500) {
 }
 
 /**
- * Parse table data from HTML
- * Note: This function runs in Node.js during build time to extract data from HTML.
- * The output is stored in JSON and never rendered as HTML in the browser.
- * Frontend uses textContent (not innerHTML) to safely display the data.
- */
-function parseTableData(html) {
-  const tdRegex = /<td[^>]*>(.*?)<\/td>/gs;
-  const cells = [];
-  
-  let match;
-  while ((match = tdRegex.exec(html)) !== null) {
-    // Remove HTML tags and decode entities
-    // This is safe because: (1) runs in Node.js, not browser
-    // (2) output stored as JSON, not rendered as HTML
-    let content = match[1]
-      // Remove all HTML tags
-      .replace(/<[^>]*>/g, '')
-      // Decode HTML entities
-      .replace(/&[^;]+;/g, (entity) => {
-        const entities = {
-          '&#8211;': '–',
-          '&nbsp;': ' ',
-          '&amp;': '&',
-          '&lt;': '<',
-          '&gt;': '>',
-          '&quot;': '"',
-          '&#39;': "'"
-        };
-        return entities[entity] || entity;
-      })
-      .trim();
-    
-    cells.push(content);
+ * Parse the command line options
+ */
+function parseArgs(args) {
+  const options = {
+    offline: false,
+    snapshotDir: null,
+    saveSnapshots: true,
+    reportPath: null,
+    force: false,
+    suggestAliases: false,
+    apiOnly: false
+  };
+  
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--offline') {
+      options.offline = true;
+    } else if (arg === '--from-snapshots') {
+      options.offline = true;
+      options.snapshotDir = args[++i];
+      if (!options.snapshotDir) {
+        throw new Error('--from-snapshots requires a directory');
+      }
+    } else if (arg === '--no-snapshots') {
+      options.saveSnapshots = false;
+    } else if (arg === '--report') {
+      options.reportPath = args[++i];
+      if (!options.reportPath) {
+        throw new Error('--report requires a file name');
+      }
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--suggest-aliases') {
+      options.suggestAliases = true;
+    } else if (arg === '--api-only') {
+      options.apiOnly = true;
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  
+  return options;
+}
+
+/**
+ * File name of a source page inside a snapshot directory
+ */
+function getSnapshotFileName(source) {
+  return `${source.type}-${source.category}.html`;
+}
+
+/**
+ * Read the manifest of a snapshot directory
+ * Returns an empty manifest for directories with only HTML files (e.g. hand-made fixtures)
+ */
+function readSnapshotManifest(dir) {
+  const manifestPath = path.join(dir, SNAPSHOT_MANIFEST);
+  if (!fs.existsSync(manifestPath)) {
+    return { created: null, pages: {} };
   }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+/**
+ * Find the most recent snapshot directory, or null when there is none
+ */
+function findLatestSnapshot() {
+  if (!fs.existsSync(SNAPSHOT_ROOT)) {
+    return null;
+  }
+  
+  const dirs = fs.readdirSync(SNAPSHOT_ROOT, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(SNAPSHOT_ROOT, entry.name, SNAPSHOT_MANIFEST)))
+    .map(entry => entry.name)
+    .sort();
   
-  return cells;
+  return dirs.length ? path.join(SNAPSHOT_ROOT, dirs[dirs.length - 1]) : null;
+}
+
+/**
+ * Read a source page from a snapshot directory
+ */
+function readSnapshotPage(dir, manifest, source) {
+  const page = manifest.pages[source.url];
+  const filePath = path.join(dir, page ? page.file : getSnapshotFileName(source));
+  
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`No snapshot of ${source.url} in ${dir}`);
+  }
+  return fs.readFileSync(filePath, 'utf8');
+}
+
+/**
+ * Fetch a source page, reusing the previous snapshot when the server reports it unchanged
+ * Returns { html, fetchedAt, etag, lastModified }
+ */
+async function fetchPage(source, previousSnapshot) {
+  const cached = previousSnapshot && previousSnapshot.manifest.pages[source.url];
+  const cachedPath = cached && path.join(previousSnapshot.dir, cached.file);
+  const headers = {};
+  
+  if (cached && fs.existsSync(cachedPath)) {
+    if (cached.etag) headers['If-None-Match'] = cached.etag;
+    if (cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+  }
+  
+  const response = await fetchUrl(source.url, headers);
+  
+  if (response.statusCode === 304) {
+    console.log('   ✓ Not modified since the previous snapshot');
+    return {
+      html: fs.readFileSync(cachedPath, 'utf8'),
+      fetchedAt: cached.fetchedAt,
+      etag: cached.etag,
+      lastModified: cached.lastModified
+    };
+  }
+  
+  return {
+    html: response.body,
+    fetchedAt: new Date().toISOString(),
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null
+  };
+}
+
+/**
+ * Save fetched pages as a dated snapshot directory with a manifest
+ */
+function saveSnapshot(pages, created) {
+  const dir = path.join(SNAPSHOT_ROOT, created.slice(0, 19).replace(/:/g, ''));
+  fs.mkdirSync(dir, { recursive: true });
+  
+  const manifest = { created, pages: {} };
+  pages.forEach(({ source, page }) => {
+    const file = getSnapshotFileName(source);
+    fs.writeFileSync(path.join(dir, file), page.html);
+    manifest.pages[source.url] = {
+      name: source.name,
+      file,
+      fetchedAt: page.fetchedAt,
+      etag: page.etag,
+      lastModified: page.lastModified
+    };
+  });
+  
+  fs.writeFileSync(path.join(dir, SNAPSHOT_MANIFEST), JSON.stringify(manifest, null, 2));
+  return dir;
+}
+
+// Header texts of the year column
+const YEAR_HEADERS = ['jaar', 'year'];
+
+/**
+ * Header texts that identify a column of a source table (normalized)
+ * "year" matches Jaar/Year, a poule "Poule A" or "A Poule", a division its name;
+ * a column can list its own header text(s) in sources.json
+ */
+function getColumnHeaders(column) {
+  if (column === 'year') return YEAR_HEADERS;
+  if (column.header) return [].concat(column.header).map(normalizeName);
+  if (column.division) return [normalizeName(column.division)];
+  const poule = column.poule.toLowerCase();
+  return [`poule ${poule}`, `${poule} poule`];
+}
+
+/**
+ * Find the columns of a source in a table by their header text
+ * Returns { headerRow, indexes } with the header row and the table column of every schema column
+ * (-1 when the table does not have it), or null when the table does not match the source.
+ * Tables without any header row are read by position.
+ */
+function findSourceColumns(table, source) {
+  const matches = (column, text) => getColumnHeaders(column).includes(normalizeName(text).replace(/:$/, ''));
+  const searchRows = table.rows.slice(0, Math.max(table.headerRowCount, 5));
+  const headerRow = searchRows.findIndex(row => row.some(text => matches('year', text)));
+  
+  if (headerRow === -1) {
+    return table.headerRowCount === 0
+      ? { headerRow: -1, indexes: source.columns.map((column, index) => index) }
+      : null;
+  }
+  
+  const headers = table.rows[headerRow];
+  const indexes = source.columns.map(column => headers.findIndex(text => matches(column, text)));
+  return indexes.slice(1).some(index => index !== -1) ? { headerRow, indexes } : null;
 }
 
 /**
  * Process championship/competition data
- * Handles variable row sizes in HTML tables (some have 3 columns, some have 4)
+ * Every table on the page with the columns of the source is read; columns are identified by
+ * their header text (see getColumnHeaders), so their order and missing columns do not matter.
  */
-function processData(cells, source) {
+function processData(tables, source) {
   const results = [];
   
-  // Determine expected columns based on source
-  if (source.category === 'zomercyclus') {
-    // Zomercyclus: Jaar, Naam
-    // Skip header (first 2 cells)
-    for (let i = 2; i + 1 < cells.length; i += 2) {
-      const year = cells[i];
-      if (!year || !/^\d{4}$/.test(year)) continue;
-      
-      const parsedYear = parseInt(year);
-      // Validate year is in reasonable range
-      if (parsedYear < 1990 || parsedYear > 2100) continue;
-      
-      const winner = cells[i + 1];
-      if (winner && winner !== '–') {
-        results.push({
-          year: parsedYear,
-          category: source.category,
-          type: source.type,
-          poule: 'A',
-          winners: [winner]
-        });
-      }
-    }
-  } else if (source.category === 'tete-a-tete') {
-    // Tête-à-tête: Jaar, Heren, Dames
-    // Skip header (first 3 cells)
-    for (let i = 3; i + 2 < cells.length; i += 3) {
-      const year = cells[i];
-      if (!year || !/^\d{4}$/.test(year)) continue;
+  tables.forEach(table => {
+    const layout = findSourceColumns(table, source);
+    if (!layout) return;
+    
+    const [yearIndex, ...columnIndexes] = layout.indexes;
+    table.rows.slice(layout.headerRow + 1).forEach(row => {
+      const year = row[yearIndex];
+      if (!/^\d{4}$/.test(year)) return;
       
       const parsedYear = parseInt(year);
       // Validate year is in reasonable range
-      if (parsedYear < 1990 || parsedYear > 2100) continue;
-      
-      const menWinner = cells[i + 1];
-      const womenWinner = cells[i + 2];
-      
-      if (menWinner && menWinner !== '–') {
-        results.push({
-          year: parsedYear,
-          category: source.category,
-          type: source.type,
-          poule: 'A',
-          winners: [menWinner]
-        });
-      }
+      if (parsedYear < 1990 || parsedYear > 2100) return;
       
-      if (womenWinner && womenWinner !== '–') {
+      // Every poule is kept; only Poule A counts towards the totals (see buildPlayerStats)
+      source.columns.slice(1).forEach((column, index) => {
+        const cell = row[columnIndexes[index]];
+        if (!cell || cell.trim() === '' || cell === '–') return;
+        
+        // A cell holding only a number (e.g. a year shifted into the name column) is not a name
+        const winners = (source.winners === 'team' ? extractNames(cell) : [cell.replace(/\n/g, ' ')])
+          .filter(name => !/^\d+$/.test(name.trim()));
+        if (winners.length === 0) return;
+        
         results.push({
           year: parsedYear,
           category: source.category,
           type: source.type,
-          poule: 'A',
-          winners: [womenWinner]
+          ...(column.division && { division: column.division }),
+          poule: column.poule || 'A',
+          winners
         });
+      });
+    });
+  });
+  
+  return results;
+}
+
+/**
+ * Check an entry of the manual results ledger
+ * Returns a description of the problem, or null when the entry is valid
+ */
+function getManualEntryProblem(entry, needsWinners) {
+  const source = DATA_SOURCES.find(s => s.type === entry.type && s.category === entry.category);
+  if (!Number.isInteger(entry.year)) return 'year must be a number';
+  if (!source) return `unknown category "${entry.type}_${entry.category}"`;
+  
+  const divisions = source.columns.filter(column => column.division).map(column => column.division);
+  if (divisions.length > 0 && !divisions.includes(entry.division)) {
+    return `division must be one of: ${divisions.join(', ')}`;
+  }
+  if (divisions.length === 0 && entry.division) return `${source.name} has no divisions`;
+  if (entry.poule && !POULES.includes(entry.poule)) return `unknown poule "${entry.poule}"`;
+  
+  if (needsWinners && !(Array.isArray(entry.winners) && entry.winners.length > 0)) return 'winners are missing';
+  if (!entry.note) return 'a note with the provenance is required';
+  return null;
+}
+
+/**
+ * Load the manual results ledger: titles that are missing or wrong on the club website
+ * additions add a title, overrides replace the winners of a published title and
+ * suppressions remove one. Every entry needs a note with its provenance.
+ * A missing file is an empty ledger.
+ */
+function loadManualResults(filePath) {
+  const ledger = { additions: [], overrides: [], suppressions: [] };
+  if (!fs.existsSync(filePath)) return ledger;
+  
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  Object.keys(ledger).forEach(kind => {
+    (data[kind] || []).forEach(entry => {
+      const problem = getManualEntryProblem(entry, kind !== 'suppressions');
+      if (problem) {
+        throw new Error(`Invalid entry in ${kind} of ${filePath} (${JSON.stringify(entry)}): ${problem}`);
       }
+      ledger[kind].push(entry);
+    });
+  });
+  
+  return ledger;
+}
+
+/**
+ * Merge the manual results ledger into the scraped results
+ * Titles are matched on year, category (with division) and poule. Merged titles are tagged with
+ * manual ("addition" or "override") and the note, so the website can show where they come from.
+ * Returns { results, warnings }
+ */
+function applyManualResults(results, ledger) {
+  const warnings = [];
+  const describe = entry => `${entry.year} ${getCategoryKey(entry)} (Poule ${entry.poule || 'A'})`;
+  const toResult = (entry, manual) => ({
+    year: entry.year,
+    category: entry.category,
+    type: entry.type,
+    ...(entry.division && { division: entry.division }),
+    poule: entry.poule || 'A',
+    winners: entry.winners,
+    manual,
+    note: entry.note
+  });
+  
+  const suppressedKeys = new Set(ledger.suppressions.map(getTitleKey));
+  ledger.suppressions.forEach(entry => {
+    if (!results.some(result => getTitleKey(result) === getTitleKey(entry))) {
+      warnings.push(`Suppression ${describe(entry)}: title not found`);
     }
-  } else {
-    // Other categories: Process row by row, detecting year cells
-    // Table structure varies: some rows have 3 cells (Year, A, B), some have 4 (Year, A, B, C)
-    let i = 0;
-    
-    // Skip until we find first year (after header)
-    while (i < cells.length && !/^\d{4}$/.test(cells[i])) {
-      i++;
+  });
+  let merged = results.filter(result => !suppressedKeys.has(getTitleKey(result)));
+  
+  ledger.overrides.forEach(entry => {
+    const key = getTitleKey(entry);
+    if (merged.some(result => getTitleKey(result) === key)) {
+      merged = merged.map(result => (getTitleKey(result) === key ? toResult(entry, 'override') : result));
+    } else {
+      warnings.push(`Override ${describe(entry)}: title not found, added instead`);
+      merged.push(toResult(entry, 'override'));
     }
-    
-    // Process remaining cells
-    while (i < cells.length) {
-      const year = cells[i];
-      
-      // Check if this is a valid year
-      if (!/^\d{4}$/.test(year)) {
-        i++;
-        continue;
-      }
-      
-      const parsedYear = parseInt(year);
-      // Validate year is in reasonable range
-      if (parsedYear < 1990 || parsedYear > 2100) {
-        i++;
-        continue;
-      }
-      
-      i++; // Move to Poule A
-      
-      // If there is no cell after the year, there is no Poule A data to process
-      if (i >= cells.length) {
-        break;
-      }
-      
-      // Get Poule A data
-      const pouleA = cells[i];
-      if (pouleA && pouleA.trim() !== '' && pouleA !== '–') {
-        const names = extractNames(pouleA);
-        if (names.length > 0) {
-          results.push({
-            year: parsedYear,
-            category: source.category,
-            type: source.type,
-            poule: 'A',
-            winners: names
-          });
-        }
-      }
-      i++; // Move past Poule A
-      
-      // Skip Poule B and optionally Poule C until we find the next year or end
-      while (i < cells.length && !/^\d{4}$/.test(cells[i])) {
-        i++;
-      }
+  });
+  
+  ledger.additions.forEach(entry => {
+    if (merged.some(result => getTitleKey(result) === getTitleKey(entry))) {
+      warnings.push(`Addition ${describe(entry)}: already published, remove it from the ledger or use an override`);
+    } else {
+      merged.push(toResult(entry, 'addition'));
     }
-  }
+  });
   
-  return results;
+  return { results: merged, warnings };
 }
 
 /**
@@ -338,10 +631,20 @@ function countDiacritics(str) {
   return (str.match(/[éèêëáàâäíìîïóòôöúùûüçñ]/gi) || []).length;
 }
 
+/**
+ * Get the key used to count a result in the aggregates ("type_category")
+ * Results with a division (men/women tête-à-tête) get a separate key per division
+ */
+function getCategoryKey(result) {
+  const categoryKey = `${result.type}_${result.category}`;
+  return result.division ? `${categoryKey}_${result.division}` : categoryKey;
+}
+
 /**
  * Build aggregated statistics per player
+ * points are the weighted Poule A titles (see getPointsScheme), next to the plain totalWins
  */
-function buildPlayerStats(allResults) {
+function buildPlayerStats(allResults, pointsScheme = POINTS_SCHEME) {
   const playerMap = new Map();
   
   // Count wins per category per player
@@ -355,7 +658,9 @@ function buildPlayerStats(allResults) {
         playerMap.set(normalizedName, {
           displayName: canonicalName,
           wins: {},
-          totalWins: 0
+          totalWins: 0,
+          points: 0,
+          pouleWins: {}
         });
       } else {
         // Update display name to prefer version with more diacritics (accents)
@@ -366,7 +671,14 @@ function buildPlayerStats(allResults) {
       }
       
       const player = playerMap.get(normalizedName);
-      const categoryKey = `${result.type}_${result.category}`;
+      const categoryKey = getCategoryKey(result);
+      const poule = result.poule || 'A';
+      
+      // Per-poule counts for every title
+      player.pouleWins[poule] = (player.pouleWins[poule] || 0) + 1;
+      
+      // Only Poule A counts towards the hall of fame totals
+      if (poule !== 'A') return;
       
       if (!player.wins[categoryKey]) {
         player.wins[categoryKey] = 0;
@@ -374,65 +686,621 @@ function buildPlayerStats(allResults) {
       
       player.wins[categoryKey]++;
       player.totalWins++;
+      
+      const categoryPoints = pointsScheme.categories[categoryKey];
+      player.points += (categoryPoints === undefined ? 1 : categoryPoints) * pointsScheme.poules.A;
     });
   });
   
-  // Convert to array and sort by total wins
+  // Convert to array and sort by total wins (Poule A), then by titles in any poule
+  const totalPouleWins = player => Object.values(player.pouleWins).reduce((sum, count) => sum + count, 0);
   const players = Array.from(playerMap.values())
-    .sort((a, b) => b.totalWins - a.totalWins);
+    .sort((a, b) => b.totalWins - a.totalWins || totalPouleWins(b) - totalPouleWins(a));
   
   return players;
 }
 
+/**
+ * Replace the raw winner names in each result with the canonical display name
+ * of the matching player, so the frontend can link titles to players directly
+ */
+function canonicalizeResults(allResults, playerStats) {
+  const displayNames = new Map(
+    playerStats.map(player => [normalizeName(player.displayName), player.displayName])
+  );
+  
+  return allResults.map(result => ({
+    ...result,
+    winners: result.winners.map(name => {
+      const normalizedName = normalizeName(applyNameMapping(name));
+      return displayNames.get(normalizedName) || name;
+    })
+  }));
+}
+
+/**
+ * Key of the slot a title fills: year, category (with division) and poule
+ */
+function getTitleKey(result) {
+  return `${result.year}|${getCategoryKey(result)}|${result.poule || 'A'}`;
+}
+
+/**
+ * Short description of a result for the change report
+ */
+function summarizeResult(result) {
+  return {
+    year: result.year,
+    category: getCategoryKey(result),
+    poule: result.poule || 'A',
+    winners: result.winners
+  };
+}
+
+/**
+ * Compare the new results with the previous data file
+ * Returns the titles that were added, removed or changed, renamed players and the counts per source
+ * Titles suppressed in the manual results ledger do not count as removed
+ */
+function compareResults(previousData, sourceReports, allResults, playerStats, suppressions = []) {
+  const previousResults = (previousData && previousData.allResults) || [];
+  const previousPlayers = (previousData && previousData.players) || [];
+  const previousByKey = new Map(previousResults.map(result => [getTitleKey(result), result]));
+  const currentByKey = new Map(allResults.map(result => [getTitleKey(result), result]));
+  const normalizeWinner = name => normalizeName(applyNameMapping(name));
+  
+  const added = allResults.filter(result => !previousByKey.has(getTitleKey(result)));
+  const suppressedKeys = new Set(suppressions.map(getTitleKey));
+  const removed = previousResults.filter(result =>
+    !currentByKey.has(getTitleKey(result)) && !suppressedKeys.has(getTitleKey(result))
+  );
+  
+  // Same title slot, different winners
+  const changed = [];
+  allResults.forEach(result => {
+    const previous = previousByKey.get(getTitleKey(result));
+    if (!previous) return;
+    
+    const before = previous.winners.map(normalizeWinner).sort().join('|');
+    const after = result.winners.map(normalizeWinner).sort().join('|');
+    if (before !== after) {
+      changed.push({ ...summarizeResult(result), previousWinners: previous.winners });
+    }
+  });
+  
+  // Renamed players: a new display name for the same person, or one name swapped for another in a title
+  const renamed = new Map();
+  const previousDisplayNames = new Map(
+    previousPlayers.map(player => [normalizeWinner(player.displayName), player.displayName])
+  );
+  playerStats.forEach(player => {
+    const previousName = previousDisplayNames.get(normalizeWinner(player.displayName));
+    if (previousName && previousName !== player.displayName) {
+      renamed.set(`${previousName}|${player.displayName}`, { from: previousName, to: player.displayName });
+    }
+  });
+  changed.forEach(title => {
+    const currentKeys = title.winners.map(normalizeWinner);
+    const previousKeys = title.previousWinners.map(normalizeWinner);
+    const gone = title.previousWinners.filter(name => !currentKeys.includes(normalizeWinner(name)));
+    const arrived = title.winners.filter(name => !previousKeys.includes(normalizeWinner(name)));
+    if (gone.length === 1 && arrived.length === 1) {
+      renamed.set(`${gone[0]}|${arrived[0]}`, { from: gone[0], to: arrived[0] });
+    }
+  });
+  
+  const sources = sourceReports.map(report => ({
+    name: report.source.name,
+    category: `${report.source.type}_${report.source.category}`,
+    previous: previousResults.filter(result =>
+      result.type === report.source.type && result.category === report.source.category &&
+      result.manual !== 'addition'
+    ).length,
+    current: report.count,
+    error: report.error || null
+  }));
+  
+  return {
+    added: added.map(summarizeResult),
+    removed: removed.map(summarizeResult),
+    changed,
+    renamed: Array.from(renamed.values()),
+    sources
+  };
+}
+
+/**
+ * Check the change report for problems that should stop the data file from being replaced
+ * Returns a list of problem descriptions (empty when the extraction is valid)
+ */
+function validateExtraction(changes) {
+  const problems = [];
+  
+  changes.sources.forEach(source => {
+    if (source.error) {
+      problems.push(`${source.name}: ${source.error}`);
+    } else if (source.current === 0) {
+      problems.push(`${source.name}: no results found`);
+    }
+  });
+  
+  if (changes.removed.length > 0) {
+    problems.push(`${changes.removed.length} historical title(s) removed`);
+  }
+  
+  return problems;
+}
+
+/**
+ * Print the change report
+ */
+function printChangeReport(changes) {
+  const formatTitle = title => `${title.year} ${title.category} (Poule ${title.poule}): ${title.winners.join(', ')}`;
+  
+  console.log('\n📋 Changes since the previous data file:');
+  changes.sources.forEach(source => {
+    const status = source.error ? `✗ ${source.error}` : `${source.previous} → ${source.current}`;
+    console.log(`   ${source.name}: ${status}`);
+  });
+  
+  console.log(`   + ${changes.added.length} new title(s)`);
+  changes.added.forEach(title => console.log(`     + ${formatTitle(title)}`));
+  
+  console.log(`   - ${changes.removed.length} removed title(s)`);
+  changes.removed.forEach(title => console.log(`     - ${formatTitle(title)}`));
+  
+  console.log(`   ~ ${changes.changed.length} changed title(s)`);
+  changes.changed.forEach(title => {
+    console.log(`     ~ ${formatTitle(title)} (was: ${title.previousWinners.join(', ')})`);
+  });
+  
+  console.log(`   ↔ ${changes.renamed.length} renamed player(s)`);
+  changes.renamed.forEach(rename => console.log(`     ↔ ${rename.from} → ${rename.to}`));
+}
+
+/**
+ * Words of a name for duplicate detection: normalized, with hyphens as spaces
+ */
+function getNameTokens(name) {
+  return normalizeName(name).replace(/-/g, ' ').split(' ').filter(Boolean);
+}
+
+/**
+ * Levenshtein distance between two strings
+ */
+function getEditDistance(a, b) {
+  let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost);
+    }
+    previousRow = row;
+  }
+  
+  return previousRow[b.length];
+}
+
+/**
+ * Reasons why two names probably belong to the same player (empty when they look different)
+ */
+function getDuplicateReasons(nameA, nameB) {
+  const tokensA = getNameTokens(nameA);
+  const tokensB = getNameTokens(nameB);
+  const coreA = tokensA.filter(token => !NAME_PARTICLES.includes(token));
+  const coreB = tokensB.filter(token => !NAME_PARTICLES.includes(token));
+  const reasons = [];
+  
+  if (tokensA.join(' ') === tokensB.join(' ')) {
+    reasons.push('differs only in hyphens');
+  } else if (coreA.join(' ') === coreB.join(' ')) {
+    reasons.push('differs only in name particles (van/de/den)');
+  } else if ([...coreA].sort().join(' ') === [...coreB].sort().join(' ')) {
+    reasons.push('same words in a different order');
+  } else {
+    const [shorter, longer] = coreA.length <= coreB.length ? [coreA, coreB] : [coreB, coreA];
+    const sameFirstName = shorter[0] === longer[0];
+    const sameLastName = shorter[shorter.length - 1] === longer[longer.length - 1];
+    
+    if (sameFirstName && shorter.length < longer.length && shorter.every(token => longer.includes(token))) {
+      reasons.push('extra surname (double or married name)');
+    }
+    if (sameLastName && !sameFirstName && shorter.length > 1 && longer.length > 1 &&
+        (longer[0].includes(shorter[0]) || shorter[0].includes(longer[0]))) {
+      reasons.push('first name is a short form of the other');
+    }
+  }
+  
+  if (reasons.length === 0) {
+    const textA = tokensA.join(' ');
+    const textB = tokensB.join(' ');
+    const distance = getEditDistance(textA, textB);
+    const maxDistance = Math.min(textA.length, textB.length) >= 8 ? 2 : 1;
+    if (distance <= maxDistance) {
+      reasons.push(`edit distance ${distance}`);
+    }
+  }
+  
+  return reasons;
+}
+
+/**
+ * Find pairs of names that probably belong to the same player
+ * Pairs listed under notDuplicates in the alias registry are skipped
+ * Returns [{ names: [a, b], reasons }]
+ */
+function suggestAliases(names, notDuplicates = NAME_ALIASES.notDuplicates) {
+  const pairKey = pair => pair.map(normalizeName).sort().join('|');
+  const ignored = new Set(notDuplicates.map(pairKey));
+  const suggestions = [];
+  
+  for (let i = 0; i < names.length; i++) {
+    for (let j = i + 1; j < names.length; j++) {
+      const pair = [names[i], names[j]];
+      if (ignored.has(pairKey(pair))) continue;
+      
+      const reasons = getDuplicateReasons(names[i], names[j]);
+      if (reasons.length > 0) {
+        suggestions.push({ names: pair, reasons });
+      }
+    }
+  }
+  
+  return suggestions;
+}
+
+/**
+ * Print the probable duplicate players with their number of titles
+ */
+function printAliasSuggestions(suggestions, playerStats) {
+  const titleCounts = new Map(playerStats.map(player => [
+    player.displayName,
+    Object.values(player.pouleWins).reduce((sum, count) => sum + count, 0)
+  ]));
+  const describe = name => `${name} (${titleCounts.get(name) || 0} titles)`;
+  
+  console.log('\n🔎 Probable duplicate players:');
+  if (suggestions.length === 0) {
+    console.log('   ✓ No probable duplicates found');
+    return;
+  }
+  
+  suggestions.forEach(suggestion => {
+    const [nameA, nameB] = suggestion.names;
+    console.log(`   ${describe(nameA)} ↔ ${describe(nameB)}: ${suggestion.reasons.join(', ')}`);
+  });
+  console.log(`\n   Add real duplicates as aliases to ${NAME_ALIASES_PATH}`);
+  console.log('   and list different players with similar names under "notDuplicates".');
+}
+
+/**
+ * Build statistics per team line-up (pairs and triples that won together)
+ * Only Poule A titles are counted, like the player totals
+ * Expects canonicalized results so the same team always has the same names
+ */
+function buildPartnerships(allResults) {
+  const partnershipMap = new Map();
+  
+  allResults
+    .filter(result => result.winners.length > 1 && (result.poule || 'A') === 'A')
+    .forEach(result => {
+      const players = [...result.winners].sort((a, b) => a.localeCompare(b, 'nl'));
+      const key = players.map(normalizeName).join('|');
+      
+      if (!partnershipMap.has(key)) {
+        partnershipMap.set(key, {
+          players,
+          wins: {},
+          totalWins: 0,
+          years: []
+        });
+      }
+      
+      const partnership = partnershipMap.get(key);
+      const categoryKey = getCategoryKey(result);
+      
+      partnership.wins[categoryKey] = (partnership.wins[categoryKey] || 0) + 1;
+      partnership.totalWins++;
+      partnership.years.push(result.year);
+    });
+  
+  // Sort by titles won together, most recent title first on ties
+  return Array.from(partnershipMap.values())
+    .map(partnership => ({
+      ...partnership,
+      years: partnership.years.sort((a, b) => a - b)
+    }))
+    .sort((a, b) => b.totalWins - a.totalWins || Math.max(...b.years) - Math.max(...a.years));
+}
+
+/**
+ * URL slug of a player name, as used in #/speler/<slug> and the API file names
+ * Must match slugify in src/scripts/main.js (see test/main.test.js)
+ */
+function slugify(name) {
+  return normalizeName(name)
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Build the files of the static API from the data file contents
+ * Returns a map of file path (relative to the API directory) to JSON content
+ */
+function buildApiFiles(data) {
+  const files = new Map();
+  const { lastUpdated } = data;
+  const categories = data.categories || [];
+  const categoryOrder = categories.map(category => category.key);
+  const byCategoryAndPoule = (a, b) =>
+    categoryOrder.indexOf(getCategoryKey(a)) - categoryOrder.indexOf(getCategoryKey(b)) ||
+    (a.poule || 'A').localeCompare(b.poule || 'A');
+  const toTitle = result => ({
+    year: result.year,
+    category: getCategoryKey(result),
+    poule: result.poule || 'A',
+    winners: result.winners,
+    ...(result.note && { note: result.note })
+  });
+  
+  const players = data.players.map(player => {
+    const slug = slugify(player.displayName);
+    const playerKey = normalizeName(player.displayName);
+    const titles = data.allResults
+      .filter(result => result.winners.some(name => normalizeName(name) === playerKey))
+      .sort((a, b) => b.year - a.year || byCategoryAndPoule(a, b))
+      .map(toTitle);
+    
+    files.set(`players/${slug}.json`, {
+      lastUpdated,
+      name: player.displayName,
+      slug,
+      totalWins: player.totalWins,
+      points: player.points,
+      wins: player.wins,
+      pouleWins: player.pouleWins,
+      titles
+    });
+    return { name: player.displayName, slug, totalWins: player.totalWins, url: `players/${slug}.json` };
+  });
+  
+  const years = [...new Set(data.allResults.map(result => result.year))].sort((a, b) => b - a).map(year => {
+    const titles = data.allResults
+      .filter(result => result.year === year)
+      .sort(byCategoryAndPoule)
+      .map(result => {
+        const category = categories.find(c => c.key === getCategoryKey(result));
+        return { ...toTitle(result), label: category ? category.label : null };
+      });
+    
+    files.set(`years/${year}.json`, { lastUpdated, year, titles });
+    return { year, titles: titles.length, url: `years/${year}.json` };
+  });
+  
+  const categoryIndex = categories.map(category => {
+    const titles = data.allResults
+      .filter(result => getCategoryKey(result) === category.key)
+      .sort((a, b) => b.year - a.year || (a.poule || 'A').localeCompare(b.poule || 'A'))
+      .map(toTitle);
+    
+    files.set(`categories/${category.key}.json`, {
+      lastUpdated,
+      key: category.key,
+      type: category.type,
+      label: category.label,
+      shortLabel: category.shortLabel,
+      titles
+    });
+    return { key: category.key, label: category.label, titles: titles.length, url: `categories/${category.key}.json` };
+  });
+  
+  files.set('index.json', {
+    version: API_VERSION,
+    lastUpdated,
+    schema: 'schema.json',
+    players,
+    years,
+    categories: categoryIndex
+  });
+  
+  return files;
+}
+
+/**
+ * Write the static API, replacing the generated files of the previous run (schema.json is kept)
+ */
+function writeApiFiles(data, dir = API_DIR) {
+  const files = buildApiFiles(data);
+  
+  API_SUBDIRS.forEach(subdir => fs.rmSync(path.join(dir, subdir), { recursive: true, force: true }));
+  files.forEach((content, file) => {
+    const filePath = path.join(dir, file);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(content, null, 2));
+  });
+  
+  return files.size;
+}
+
 /**
  * Main execution
  */
 async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const startedAt = new Date().toISOString();
+  
+  if (options.apiOnly) {
+    const count = writeApiFiles(JSON.parse(fs.readFileSync(OUTPUT_PATH, 'utf8')));
+    console.log(`✅ ${count} API files written to: ${API_DIR}`);
+    return;
+  }
+  
   console.log('🏆 Extracting Zwijntje Hall of Fame data...\n');
   
+  // Offline: parse a recorded snapshot. Online: use the latest snapshot for conditional requests
+  let snapshot = null;
+  if (options.offline) {
+    const dir = options.snapshotDir ? path.resolve(options.snapshotDir) : findLatestSnapshot();
+    if (!dir || !fs.existsSync(dir)) {
+      throw new Error(`Snapshot directory not found: ${dir || SNAPSHOT_ROOT}`);
+    }
+    snapshot = { dir, manifest: readSnapshotManifest(dir) };
+    console.log(`📂 Offline, using snapshot: ${dir}\n`);
+  } else {
+    const dir = findLatestSnapshot();
+    snapshot = dir ? { dir, manifest: readSnapshotManifest(dir) } : null;
+  }
+  
+  const previousData = fs.existsSync(OUTPUT_PATH) ? JSON.parse(fs.readFileSync(OUTPUT_PATH, 'utf8')) : null;
   const allResults = [];
+  const fetchedPages = [];
+  const sourceReports = [];
   
   for (const source of DATA_SOURCES) {
-    console.log(`📥 Fetching: ${source.name}`);
+    console.log(`${options.offline ? '📄 Reading' : '📥 Fetching'}: ${source.name}`);
     try {
-      const html = await fetchUrl(source.url);
-      const cells = parseTableData(html);
-      const results = processData(cells, source);
+      let html;
+      if (options.offline) {
+        html = readSnapshotPage(snapshot.dir, snapshot.manifest, source);
+      } else {
+        const page = await fetchPage(source, snapshot);
+        fetchedPages.push({ source, page });
+        html = page.html;
+      }
+      
+      const results = processData(parseTables(html), source);
       
       allResults.push(...results);
+      sourceReports.push({ source, count: results.length });
       console.log(`   ✓ Found ${results.length} wins`);
     } catch (error) {
       console.error(`   ✗ Error: ${error.message}`);
+      sourceReports.push({ source, count: 0, error: error.message });
+      
+      // Never wipe a category because its page could not be loaded
+      // (manual additions are left out, they are merged again from the ledger below)
+      const previousResults = ((previousData && previousData.allResults) || [])
+        .filter(result =>
+          result.type === source.type && result.category === source.category && result.manual !== 'addition'
+        );
+      if (previousResults.length > 0) {
+        allResults.push(...previousResults);
+        console.log(`   ↩ Keeping ${previousResults.length} wins from the previous data file`);
+      }
     }
   }
   
-  console.log(`\n📊 Processing ${allResults.length} total wins...`);
+  // Titles that are missing or wrong on the website
+  const ledger = loadManualResults(MANUAL_RESULTS_PATH);
+  const manual = applyManualResults(allResults, ledger);
+  console.log(`\n📝 Manual results: ${ledger.additions.length} addition(s), ` +
+    `${ledger.overrides.length} override(s), ${ledger.suppressions.length} suppression(s)`);
+  manual.warnings.forEach(warning => console.warn(`   ⚠ ${warning}`));
   
-  const playerStats = buildPlayerStats(allResults);
+  console.log(`\n📊 Processing ${manual.results.length} total wins...`);
+  
+  const playerStats = buildPlayerStats(manual.results);
   console.log(`   ✓ Found ${playerStats.length} unique players`);
   
-  // Prepare output data
+  const canonicalResults = canonicalizeResults(manual.results, playerStats);
+  const partnerships = buildPartnerships(canonicalResults);
+  console.log(`   ✓ Found ${partnerships.length} winning teams`);
+  
+  if (options.saveSnapshots && fetchedPages.length > 0) {
+    const snapshotDir = saveSnapshot(fetchedPages, startedAt);
+    console.log(`   ✓ Saved HTML snapshot: ${snapshotDir}`);
+  }
+  
+  if (options.suggestAliases) {
+    printAliasSuggestions(suggestAliases(playerStats.map(player => player.displayName)), playerStats);
+    return;
+  }
+  
+  // Compare with the previous data file and validate before overwriting it
+  const changes = compareResults(previousData, sourceReports, canonicalResults, playerStats, ledger.suppressions);
+  const problems = validateExtraction(changes);
+  printChangeReport(changes);
+  
+  if (options.reportPath) {
+    const report = { generated: startedAt, valid: problems.length === 0, problems, ...changes };
+    fs.writeFileSync(path.resolve(options.reportPath), JSON.stringify(report, null, 2));
+    console.log(`   ✓ Change report saved to: ${path.resolve(options.reportPath)}`);
+  }
+  
+  if (problems.length > 0) {
+    console.error('\n⚠ Validation failed:');
+    problems.forEach(problem => console.error(`   - ${problem}`));
+    
+    if (!options.force) {
+      console.error(`\n❌ ${OUTPUT_PATH} was not updated (use --force to save anyway)`);
+      process.exitCode = 1;
+      return;
+    }
+    console.warn('   Saving anyway because of --force');
+  }
+  
+  // Prepare output data; offline builds keep the snapshot date so they can be reproduced exactly
   const outputData = {
-    lastUpdated: new Date().toISOString(),
+    lastUpdated: (options.offline && snapshot.manifest.created) || startedAt,
     sources: DATA_SOURCES.map(s => ({ name: s.name, url: s.url })),
+    types: SOURCE_CONFIG.types,
+    categories: getCategoryDefinitions(SOURCE_CONFIG),
+    points: { poules: POINTS_SCHEME.poules },
     players: playerStats,
-    allResults: allResults
+    partnerships: partnerships,
+    allResults: canonicalResults
   };
   
   // Write to JSON file
-  const outputPath = path.join(__dirname, '../src/data/halloffame.json');
-  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
-  fs.writeFileSync(outputPath, JSON.stringify(outputData, null, 2));
+  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, JSON.stringify(outputData, null, 2));
   
-  console.log(`\n✅ Data saved to: ${outputPath}`);
+  console.log(`\n✅ Data saved to: ${OUTPUT_PATH}`);
+  console.log(`   ✓ ${writeApiFiles(outputData)} API files written to: ${API_DIR}`);
   console.log(`📈 Top 5 players:`);
   playerStats.slice(0, 5).forEach((player, index) => {
     console.log(`   ${index + 1}. ${player.displayName}: ${player.totalWins} wins`);
   });
 }
 
-// Run the script
-main().catch(error => {
-  console.error('❌ Fatal error:', error);
-  process.exit(1);
-});
+// Run the script when called directly (not when required by the tests)
+if (require.main === module) {
+  main().catch(error => {
+    console.error('❌ Fatal error:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  SOURCE_CONFIG,
+  DATA_SOURCES,
+  NAME_MAPPINGS,
+  POULES,
+  loadNameAliases,
+  loadSourceConfig,
+  loadManualResults,
+  applyManualResults,
+  getCategoryDefinitions,
+  getPointsScheme,
+  normalizeName,
+  applyNameMapping,
+  extractNames,
+  parseArgs,
+  getSnapshotFileName,
+  findSourceColumns,
+  processData,
+  getCategoryKey,
+  buildPlayerStats,
+  canonicalizeResults,
+  buildPartnerships,
+  getTitleKey,
+  compareResults,
+  validateExtraction,
+  slugify,
+  buildApiFiles,
+  getEditDistance,
+  getDuplicateReasons,
+  suggestAliases
+};
@@ -0,0 +1,228 @@
+/**
+ * HTML table parser for the data extraction script
+ * Turns every <table> on a page into rows of cell texts: rowspan and colspan are expanded into a
+ * regular grid, header rows are detected and character references are decoded.
+ *
+ * This runs in Node.js during build time. The output is plain text stored as JSON and never
+ * rendered as HTML in the browser (the frontend uses textContent), so tags are simply dropped.
+ */
+
+// Named character references (HTML 4 set); numeric references are decoded separately
+const NAMED_ENTITIES = {
+  quot: '"', amp: '&', apos: "'", lt: '<', gt: '>',
+  OElig: 'Œ', oelig: 'œ', Scaron: 'Š', scaron: 'š', Yuml: 'Ÿ', fnof: 'ƒ', circ: 'ˆ', tilde: '˜',
+  ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200c', zwj: '\u200d', lrm: '\u200e', rlm: '\u200f',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+  dagger: '†', Dagger: '‡', bull: '•', hellip: '…', permil: '‰', prime: '′', Prime: '″',
+  lsaquo: '‹', rsaquo: '›', euro: '€', trade: '™'
+};
+
+// Latin-1 supplement (U+00A0 to U+00FF) in code point order
+const LATIN1_ENTITY_NAMES = [
+  'nbsp', 'iexcl', 'cent', 'pound', 'curren', 'yen', 'brvbar', 'sect', 'uml', 'copy', 'ordf', 'laquo',
+  'not', 'shy', 'reg', 'macr', 'deg', 'plusmn', 'sup2', 'sup3', 'acute', 'micro', 'para', 'middot',
+  'cedil', 'sup1', 'ordm', 'raquo', 'frac14', 'frac12', 'frac34', 'iquest', 'Agrave', 'Aacute', 'Acirc',
+  'Atilde', 'Auml', 'Aring', 'AElig', 'Ccedil', 'Egrave', 'Eacute', 'Ecirc', 'Euml', 'Igrave', 'Iacute',
+  'Icirc', 'Iuml', 'ETH', 'Ntilde', 'Ograve', 'Oacute', 'Ocirc', 'Otilde', 'Ouml', 'times', 'Oslash',
+  'Ugrave', 'Uacute', 'Ucirc', 'Uuml', 'Yacute', 'THORN', 'szlig', 'agrave', 'aacute', 'acirc', 'atilde',
+  'auml', 'aring', 'aelig', 'ccedil', 'egrave', 'eacute', 'ecirc', 'euml', 'igrave', 'iacute', 'icirc',
+  'iuml', 'eth', 'ntilde', 'ograve', 'oacute', 'ocirc', 'otilde', 'ouml', 'divide', 'oslash', 'ugrave',
+  'uacute', 'ucirc', 'uuml', 'yacute', 'thorn', 'yuml'
+];
+LATIN1_ENTITY_NAMES.forEach((name, index) => {
+  NAMED_ENTITIES[name] = String.fromCharCode(0xa0 + index);
+});
+
+// Elements whose content is not page text
+const RAW_TEXT_ELEMENTS = ['script', 'style', 'template', 'textarea'];
+
+// Elements that start a new line inside a cell
+const LINE_ELEMENTS = ['br', 'p', 'div', 'li'];
+
+// Inline elements used for header cells in tables without <th>
+const BOLD_ELEMENTS = ['strong', 'b'];
+
+// Upper limit for rowspan/colspan, so a malformed attribute cannot blow up the grid
+const MAX_SPAN = 100;
+
+// Comments, tags (attribute values may contain ">") and text
+const TOKEN_REGEX = /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g;
+
+/**
+ * Decode numeric (&#8211; &#x2013;) and named (&eacute;) character references
+ * Unknown references are left as they are
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);/g, (entity, name) => {
+    if (name[0] === '#') {
+      const hex = name[1] === 'x' || name[1] === 'X';
+      const codePoint = parseInt(name.slice(hex ? 2 : 1), hex ? 16 : 10);
+      return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : entity;
+  });
+}
+
+/**
+ * Read a rowspan or colspan attribute (1 when missing or invalid)
+ */
+function getSpan(attributes, name) {
+  const match = new RegExp(`(?:^|\\s)${name}\\s*=\\s*["']?(\\d+)`, 'i').exec(attributes);
+  const span = match ? parseInt(match[1]) : 1;
+  return Math.min(Math.max(span, 1), MAX_SPAN);
+}
+
+/**
+ * Final text of a cell: whitespace collapsed, one line per <br>, <p> or <div>
+ */
+function getCellText(cell) {
+  return cell.text
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').replace(/\u00ad/g, '').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * A header row is in <thead>, or has only <th> or bold cells (WordPress tables use <strong>)
+ */
+function isHeaderRow(row) {
+  const filledCells = row.cells.filter(cell => getCellText(cell) !== '');
+  return row.head || (filledCells.length > 0 && filledCells.every(cell => cell.header || cell.bold));
+}
+
+/**
+ * Lay the cells out in a grid, repeating cells with a rowspan or colspan in every slot they cover
+ */
+function buildGrid(rows) {
+  const grid = rows.map(() => []);
+  
+  rows.forEach((row, rowIndex) => {
+    let column = 0;
+    row.cells.forEach(cell => {
+      while (grid[rowIndex][column]) column++;
+      
+      const lastRow = Math.min(rowIndex + cell.rowspan, rows.length);
+      for (let r = rowIndex; r < lastRow; r++) {
+        for (let c = column; c < column + cell.colspan; c++) {
+          grid[r][c] = cell;
+        }
+      }
+      column += cell.colspan;
+    });
+  });
+  
+  return grid.map(row => Array.from(row, cell => (cell ? getCellText(cell) : '')));
+}
+
+/**
+ * Parse all tables of an HTML page
+ * Returns [{ rows, headerRowCount }] in document order; rows are arrays of cell texts in grid
+ * columns, the first headerRowCount rows are header rows. Nested tables are returned separately.
+ */
+function parseTables(html) {
+  const tables = [];
+  const openTables = [];
+  let boldDepth = 0;
+  
+  const current = () => openTables[openTables.length - 1];
+  const startRow = table => {
+    table.cell = null;
+    table.row = { cells: [], head: table.section === 'thead' };
+    table.rows.push(table.row);
+  };
+  
+  TOKEN_REGEX.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_REGEX.exec(html)) !== null) {
+    const [token, slash, tagName, attributes] = match;
+    const table = current();
+    
+    if (token.startsWith('<!--')) continue;
+    
+    // Text (a lone "<" is text as well)
+    if (!tagName) {
+      if (table && table.cell) {
+        const text = decodeEntities(token.replace(/\s+/g, ' '));
+        table.cell.text += text;
+        if (text.trim()) {
+          if (boldDepth > 0) table.cell.boldText = true;
+          else table.cell.plainText = true;
+          table.cell.bold = table.cell.boldText && !table.cell.plainText;
+        }
+      }
+      continue;
+    }
+    
+    const name = tagName.toLowerCase();
+    const closing = slash === '/';
+    
+    if (RAW_TEXT_ELEMENTS.includes(name) && !closing) {
+      const end = html.toLowerCase().indexOf(`</${name}`, TOKEN_REGEX.lastIndex);
+      TOKEN_REGEX.lastIndex = end === -1 ? html.length : end;
+      continue;
+    }
+    
+    if (name === 'table') {
+      if (closing) {
+        openTables.pop();
+      } else {
+        const newTable = { rows: [], section: null, row: null, cell: null };
+        openTables.push(newTable);
+        tables.push(newTable);
+      }
+      continue;
+    }
+    
+    if (BOLD_ELEMENTS.includes(name)) {
+      boldDepth = Math.max(0, boldDepth + (closing ? -1 : 1));
+      continue;
+    }
+    
+    if (!table) continue;
+    
+    if (['thead', 'tbody', 'tfoot'].includes(name)) {
+      table.section = closing ? null : name;
+      table.row = null;
+      table.cell = null;
+    } else if (name === 'tr') {
+      if (closing) {
+        table.row = null;
+        table.cell = null;
+      } else {
+        startRow(table);
+      }
+    } else if (name === 'td' || name === 'th') {
+      if (closing) {
+        table.cell = null;
+      } else {
+        if (!table.row) startRow(table);
+        table.cell = {
+          text: '',
+          header: name === 'th',
+          bold: false,
+          rowspan: getSpan(attributes, 'rowspan'),
+          colspan: getSpan(attributes, 'colspan')
+        };
+        table.row.cells.push(table.cell);
+      }
+    } else if (LINE_ELEMENTS.includes(name) && table.cell) {
+      table.cell.text += '\n';
+    }
+  }
+  
+  return tables.map(table => {
+    const rows = table.rows.filter(row => row.cells.length > 0);
+    const headerRowCount = rows.findIndex(row => !isHeaderRow(row));
+    
+    return {
+      rows: buildGrid(rows),
+      headerRowCount: headerRowCount === -1 ? rows.length : headerRowCount
+    };
+  });
+}
+
+module.exports = {
+  decodeEntities,
+  parseTables
+};
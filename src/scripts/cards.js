@@ -0,0 +1,159 @@
+/**
+ * Zwijntje Hall of Fame - Player Cards
+ * The hall of fame table as one card per player, for phones (the stylesheet shows either the
+ * table or the cards). A card lists only the categories a player won, with full labels, and
+ * opens to show the title years. The sticky bar above the cards sorts and jumps to the filters.
+ */
+
+/**
+ * Set up the sort bar of the card layout
+ */
+function setupCardControls() {
+    const sortSelect = document.getElementById('cardSortSelect');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', event => {
+            currentSort = { column: event.target.value, direction: 'desc' };
+            applySort();
+        });
+    }
+    
+    const directionButton = document.getElementById('cardSortDirection');
+    if (directionButton) {
+        directionButton.addEventListener('click', () => {
+            currentSort.direction = currentSort.direction === 'desc' ? 'asc' : 'desc';
+            applySort();
+        });
+    }
+    
+    const filterButton = document.getElementById('cardFilterButton');
+    if (filterButton) {
+        filterButton.addEventListener('click', () => {
+            document.querySelector('.filters-section').scrollIntoView({ behavior: 'smooth' });
+            document.getElementById('searchInput').focus({ preventScroll: true });
+        });
+    }
+}
+
+/**
+ * Fill the sort selector with the sortable table columns, using full category names
+ */
+function renderCardSortOptions() {
+    const sortSelect = document.getElementById('cardSortSelect');
+    if (!sortSelect) return;
+    
+    sortSelect.textContent = '';
+    document.querySelectorAll('.sortable').forEach(th => {
+        const fullName = th.dataset.category || th.dataset.type ? th.title : '';
+        const label = fullName || th.querySelector('.sort-label').textContent.trim();
+        
+        const option = createElement('option', null, th.dataset.sort === 'rank' ? t('table.rank') : label);
+        option.value = th.dataset.sort;
+        sortSelect.appendChild(option);
+    });
+    
+    updateCardSortBar();
+}
+
+/**
+ * Show the current sort in the sort bar
+ */
+function updateCardSortBar() {
+    const sortSelect = document.getElementById('cardSortSelect');
+    if (sortSelect) {
+        sortSelect.value = currentSort.column;
+    }
+    
+    const directionButton = document.getElementById('cardSortDirection');
+    if (directionButton) {
+        directionButton.textContent = currentSort.direction === 'desc' ? '▼' : '▲';
+        directionButton.setAttribute('aria-label', t(currentSort.direction === 'desc' ? 'cards.descending' : 'cards.ascending'));
+    }
+}
+
+/**
+ * Render a card for every player in the current table view
+ */
+function renderPlayerCards() {
+    const list = document.getElementById('playerCards');
+    if (!list) return;
+    
+    list.textContent = '';
+    
+    if (filteredPlayers.length === 0) {
+        list.appendChild(createElement('li', 'player-card-empty', t('table.noResults')));
+        return;
+    }
+    
+    filteredPlayers.forEach(player => list.appendChild(createPlayerCard(player)));
+}
+
+/**
+ * Create the card of a single player: rank, name, total and points, and the categories won
+ */
+function createPlayerCard(player) {
+    const card = createElement('li', 'player-card');
+    if (isTopThree(player)) {
+        card.classList.add('highlight');
+    }
+    
+    const header = createElement('div', 'player-card-header');
+    
+    const rank = createElement('span', 'player-card-rank', String(getShownRank(player).rank));
+    const rankChange = createRankChange(player);
+    if (rankChange) rank.appendChild(rankChange);
+    header.appendChild(rank);
+    
+    const name = createElement('a', 'player-link player-card-name', player.displayName);
+    name.href = `#/speler/${slugify(player.displayName)}`;
+    header.appendChild(name);
+    
+    const total = createElement('span', 'player-card-total', t('common.titles', { count: player.totalWins }));
+    total.appendChild(createElement('span', 'player-card-points', t('legend.points', { count: player.points })));
+    header.appendChild(total);
+    card.appendChild(header);
+    
+    const won = getVisibleCategoryKeys().filter(categoryKey => player.wins[categoryKey]);
+    const categoryList = createElement('ul', 'player-card-categories');
+    won.forEach(categoryKey => {
+        const item = createElement('li', null, getCategoryLabel(categoryKey));
+        item.prepend(createElement('span', 'player-card-icon', categories.find(c => c.key === categoryKey).icon));
+        item.appendChild(createElement('strong', 'player-card-count', String(player.wins[categoryKey])));
+        categoryList.appendChild(item);
+    });
+    card.appendChild(categoryList);
+    
+    // Title years, filled in when the card is opened
+    const details = createElement('details', 'player-card-details');
+    details.appendChild(createElement('summary', null, t('cards.years')));
+    details.addEventListener('toggle', () => {
+        if (details.open && !details.querySelector('dl')) {
+            details.appendChild(createCardYears(player, won));
+        }
+    });
+    card.appendChild(details);
+    
+    return card;
+}
+
+/**
+ * List the years of a player's titles per category, in the current selection
+ * Titles in a lower poule are marked with the poule, e.g. "2019 (B)"
+ */
+function createCardYears(player, categoryKeys) {
+    const key = normalizeName(player.displayName);
+    const results = getActiveResults()
+        .filter(result => result.winners.some(name => normalizeName(name) === key))
+        .sort((a, b) => a.year - b.year);
+    
+    const list = createElement('dl', 'player-card-years');
+    categoryKeys.forEach(categoryKey => {
+        const years = results
+            .filter(result => getCategoryKey(result) === categoryKey)
+            .map(result => (result.poule && result.poule !== 'A' ? `${result.year} (${result.poule})` : String(result.year)));
+        
+        list.appendChild(createElement('dt', null, getCategoryLabel(categoryKey)));
+        list.appendChild(createElement('dd', null, years.join(', ')));
+    });
+    
+    return list;
+}
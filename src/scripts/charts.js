@@ -0,0 +1,426 @@
+/**
+ * Zwijntje Hall of Fame - Charts
+ * Renders the historical trend charts as accessible SVG (no chart library)
+ * Colors come from CSS custom properties, so the charts follow the light/dark theme
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Chart dimensions in SVG user units (the SVG scales to the container width)
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 300;
+const CHART_MARGIN = { top: 16, right: 16, bottom: 32, left: 40 };
+
+// Number of series colors defined in main.css (--chart-color-1 .. --chart-color-8)
+const CHART_COLOR_COUNT = 8;
+
+// Players picked by hand for the cumulative chart (overrides the top N when not empty)
+let chartSelectedPlayers = [];
+
+/**
+ * Set up the chart controls (top N and player picker)
+ */
+function setupChartControls() {
+    const topN = document.getElementById('chartTopN');
+    if (topN) {
+        topN.addEventListener('change', renderCharts);
+    }
+    
+    const playerInput = document.getElementById('chartPlayerInput');
+    if (playerInput) {
+        playerInput.addEventListener('change', handleChartPlayerAdd);
+    }
+}
+
+/**
+ * Add the player typed in the picker to the cumulative chart
+ */
+function handleChartPlayerAdd(event) {
+    const input = event.target;
+    const key = normalizeName(input.value);
+    const player = allPlayers.find(p => normalizeName(p.displayName) === key);
+    
+    if (player && !chartSelectedPlayers.includes(player.displayName) &&
+        chartSelectedPlayers.length < CHART_COLOR_COUNT) {
+        chartSelectedPlayers.push(player.displayName);
+        renderCharts();
+    }
+    
+    input.value = '';
+}
+
+/**
+ * Render all charts for the current filter state
+ */
+function renderCharts() {
+    if (!hallOfFameData || !document.getElementById('chartsSection')) return;
+    
+    // Only results with at least one of the filtered players count
+    const playerKeys = new Set(filteredPlayers.map(player => normalizeName(player.displayName)));
+    const results = getActiveResults().filter(result =>
+        result.winners.some(name => playerKeys.has(normalizeName(name)))
+    );
+    
+    updateChartPlayerPicker();
+    renderCumulativeChart(getChartPlayers());
+    renderCategoryChart(results);
+    renderDecadeChart(results, playerKeys);
+}
+
+/**
+ * Get the players shown in the cumulative chart: the hand-picked players,
+ * or the top N of the filtered players
+ */
+function getChartPlayers() {
+    if (chartSelectedPlayers.length > 0) {
+        return chartSelectedPlayers;
+    }
+    
+    const topN = parseInt(document.getElementById('chartTopN').value) || 5;
+    return [...filteredPlayers]
+        .sort((a, b) => b.totalWins - a.totalWins)
+        .slice(0, topN)
+        .map(player => player.displayName);
+}
+
+/**
+ * Update the picker suggestions and the chips of hand-picked players
+ */
+function updateChartPlayerPicker() {
+    const datalist = document.getElementById('chartPlayerList');
+    if (datalist) {
+        datalist.textContent = '';
+        allPlayers.forEach(player => {
+            const option = createElement('option');
+            option.value = player.displayName;
+            datalist.appendChild(option);
+        });
+    }
+    
+    const chips = document.getElementById('chartSelectedPlayers');
+    if (!chips) return;
+    
+    chips.textContent = '';
+    chartSelectedPlayers.forEach(name => {
+        const chip = createElement('li', 'chart-chip');
+        chip.appendChild(createElement('span', null, name));
+        
+        const remove = createElement('button', 'chart-chip-remove', '×');
+        remove.type = 'button';
+        remove.setAttribute('aria-label', t('charts.removePlayer', { name }));
+        remove.addEventListener('click', () => {
+            chartSelectedPlayers = chartSelectedPlayers.filter(selected => selected !== name);
+            renderCharts();
+        });
+        
+        chip.appendChild(remove);
+        chips.appendChild(chip);
+    });
+}
+
+/**
+ * Render the cumulative titles chart of the overview
+ */
+function renderCumulativeChart(playerNames) {
+    const container = document.getElementById('cumulativeChart');
+    if (!container) return;
+    
+    container.textContent = '';
+    container.appendChild(createCumulativeChart(playerNames));
+}
+
+/**
+ * Create a chart of cumulative titles over time, one line per player
+ * Returns a fragment with the SVG and its legend (also used by the comparison view)
+ */
+function createCumulativeChart(playerNames) {
+    const years = getChartYears();
+    const series = playerNames.map(name => {
+        const playerKey = normalizeName(name);
+        const titlesPerYear = new Map();
+        
+        getActiveResults()
+            .filter(result => result.winners.some(winner => normalizeName(winner) === playerKey))
+            .forEach(result => titlesPerYear.set(result.year, (titlesPerYear.get(result.year) || 0) + 1));
+        
+        let total = 0;
+        return {
+            label: name,
+            values: years.map(year => (total += titlesPerYear.get(year) || 0))
+        };
+    });
+    
+    const maxValue = Math.max(1, ...series.map(s => s.values[s.values.length - 1] || 0));
+    const summary = series
+        .map(s => `${s.label}: ${t('common.titles', { count: s.values[s.values.length - 1] || 0 })}`)
+        .join(', ');
+    
+    const svg = createChartSvg(
+        t('charts.cumulativeTitle'),
+        years.length
+            ? t('charts.cumulativeDescription', { from: String(years[0]), to: String(years[years.length - 1]), summary })
+            : t('charts.noData')
+    );
+    const scale = createChartScale(years, maxValue);
+    drawChartAxes(svg, years, maxValue, scale);
+    
+    series.forEach((s, index) => {
+        const points = s.values
+            .map((value, i) => `${scale.x(i)},${scale.y(value)}`)
+            .join(' ');
+        const line = createSvgElement('polyline', {
+            points,
+            class: 'chart-line',
+            style: `stroke: ${getChartColor(index)}`
+        });
+        line.appendChild(createSvgElement('title', {}, `${s.label}: ${t('common.titles', { count: s.values[s.values.length - 1] || 0 })}`));
+        svg.appendChild(line);
+    });
+    
+    const fragment = document.createDocumentFragment();
+    fragment.appendChild(svg);
+    fragment.appendChild(createChartLegend(series.map(s => s.label)));
+    return fragment;
+}
+
+/**
+ * Titles per category per year, as stacked bars
+ */
+function renderCategoryChart(results) {
+    const container = document.getElementById('categoryChart');
+    if (!container) return;
+    
+    const years = getChartYears();
+    const categoryKeys = getVisibleCategoryKeys();
+    const counts = years.map(year => categoryKeys.map(categoryKey =>
+        results.filter(result => result.year === year && getCategoryKey(result) === categoryKey).length
+    ));
+    
+    const maxValue = Math.max(1, ...counts.map(yearCounts => yearCounts.reduce((sum, count) => sum + count, 0)));
+    const svg = createChartSvg(
+        t('charts.perCategory'),
+        t('charts.categoryDescription', { count: results.length, categories: categoryKeys.length })
+    );
+    const scale = createChartScale(years, maxValue, true);
+    drawChartAxes(svg, years, maxValue, scale);
+    
+    counts.forEach((yearCounts, yearIndex) => {
+        let stacked = 0;
+        yearCounts.forEach((count, categoryIndex) => {
+            if (count === 0) return;
+            
+            const rect = createSvgElement('rect', {
+                x: scale.x(yearIndex) - scale.barWidth / 2,
+                y: scale.y(stacked + count),
+                width: scale.barWidth,
+                height: scale.y(stacked) - scale.y(stacked + count),
+                class: 'chart-bar',
+                style: `fill: ${getChartColor(categoryIndex)}`
+            });
+            rect.appendChild(createSvgElement('title', {},
+                `${years[yearIndex]} – ${getCategoryLabel(categoryKeys[categoryIndex])}: ${count}`));
+            svg.appendChild(rect);
+            stacked += count;
+        });
+    });
+    
+    container.textContent = '';
+    container.appendChild(svg);
+    container.appendChild(createChartLegend(categoryKeys.map(getCategoryLabel)));
+}
+
+/**
+ * Number of distinct champions per decade
+ */
+function renderDecadeChart(results, playerKeys) {
+    const container = document.getElementById('decadeChart');
+    if (!container) return;
+    
+    const champions = new Map();
+    results.forEach(result => {
+        const decade = Math.floor(result.year / 10) * 10;
+        if (!champions.has(decade)) {
+            champions.set(decade, new Set());
+        }
+        result.winners
+            .map(normalizeName)
+            .filter(key => playerKeys.has(key))
+            .forEach(key => champions.get(decade).add(key));
+    });
+    
+    const decades = [...champions.keys()].sort((a, b) => a - b);
+    const values = decades.map(decade => champions.get(decade).size);
+    const labels = decades.map(decade => t('charts.decade', { decade: String(decade), short: String(decade).slice(-2) }));
+    const maxValue = Math.max(1, ...values);
+    
+    const svg = createChartSvg(
+        t('charts.perDecade'),
+        labels.map((label, i) => `${label}: ${values[i]}`).join(', ') || t('charts.noData')
+    );
+    const scale = createChartScale(labels, maxValue, true);
+    drawChartAxes(svg, labels, maxValue, scale);
+    
+    values.forEach((value, index) => {
+        const rect = createSvgElement('rect', {
+            x: scale.x(index) - scale.barWidth / 2,
+            y: scale.y(value),
+            width: scale.barWidth,
+            height: scale.y(0) - scale.y(value),
+            class: 'chart-bar',
+            style: `fill: ${getChartColor(0)}`
+        });
+        rect.appendChild(createSvgElement('title', {}, `${labels[index]}: ${t('charts.champions', { count: value })}`));
+        svg.appendChild(rect);
+        
+        svg.appendChild(createSvgElement('text', {
+            x: scale.x(index),
+            y: scale.y(value) - 6,
+            class: 'chart-value',
+            'text-anchor': 'middle'
+        }, String(value)));
+    });
+    
+    container.textContent = '';
+    container.appendChild(svg);
+}
+
+/**
+ * All years between the first and last active result (gaps included)
+ */
+function getChartYears() {
+    const years = getActiveResults().map(result => result.year);
+    if (years.length === 0) return [];
+    
+    const firstYear = Math.min(...years);
+    const lastYear = Math.max(...years);
+    return Array.from({ length: lastYear - firstYear + 1 }, (_, i) => firstYear + i);
+}
+
+/**
+ * Create an SVG element with attributes and optional text content
+ */
+function createSvgElement(tagName, attributes, text) {
+    const element = document.createElementNS(SVG_NS, tagName);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    if (text !== undefined) {
+        element.textContent = text;
+    }
+    return element;
+}
+
+/**
+ * Create the root SVG element with an accessible title and description
+ */
+function createChartSvg(title, description) {
+    const id = `chart-${Math.random().toString(36).slice(2, 9)}`;
+    const svg = createSvgElement('svg', {
+        viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+        class: 'chart',
+        role: 'img',
+        'aria-labelledby': `${id}-title ${id}-desc`
+    });
+    svg.appendChild(createSvgElement('title', { id: `${id}-title` }, title));
+    svg.appendChild(createSvgElement('desc', { id: `${id}-desc` }, description));
+    return svg;
+}
+
+/**
+ * Create x/y scale functions for a list of x labels and a maximum y value
+ * Bar charts keep half a slot of padding on both ends
+ */
+function createChartScale(labels, maxValue, isBarChart = false) {
+    const plotWidth = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+    const plotHeight = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+    const yMax = getNiceMax(maxValue);
+    
+    const slots = isBarChart ? labels.length : Math.max(1, labels.length - 1);
+    const slotWidth = plotWidth / Math.max(1, slots);
+    
+    return {
+        yMax,
+        barWidth: Math.max(2, slotWidth * 0.7),
+        x: index => CHART_MARGIN.left + (isBarChart ? (index + 0.5) * slotWidth : index * slotWidth),
+        y: value => CHART_MARGIN.top + plotHeight - (value / yMax) * plotHeight
+    };
+}
+
+/**
+ * Round a maximum up to a value that gives readable axis ticks
+ */
+function getNiceMax(value) {
+    const step = getNiceStep(value);
+    return Math.ceil(value / step) * step;
+}
+
+/**
+ * Get the gridline step for a maximum (1, 2 or 5 times a power of ten)
+ */
+function getNiceStep(value) {
+    const rough = value / 5;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(Math.max(rough, 1))));
+    const normalized = rough / magnitude;
+    return Math.max(1, (normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10) * magnitude);
+}
+
+/**
+ * Draw gridlines, y axis values and x axis labels
+ */
+function drawChartAxes(svg, labels, maxValue, scale) {
+    const step = getNiceStep(maxValue);
+    const axes = createSvgElement('g', { class: 'chart-axes', 'aria-hidden': 'true' });
+    
+    for (let value = 0; value <= scale.yMax; value += step) {
+        const y = scale.y(value);
+        axes.appendChild(createSvgElement('line', {
+            x1: CHART_MARGIN.left,
+            x2: CHART_WIDTH - CHART_MARGIN.right,
+            y1: y,
+            y2: y,
+            class: value === 0 ? 'chart-axis' : 'chart-grid'
+        }));
+        axes.appendChild(createSvgElement('text', {
+            x: CHART_MARGIN.left - 8,
+            y: y + 4,
+            class: 'chart-label',
+            'text-anchor': 'end'
+        }, String(value)));
+    }
+    
+    // Show at most ~12 x labels
+    const labelEvery = Math.ceil(labels.length / 12);
+    labels.forEach((label, index) => {
+        if (index % labelEvery !== 0) return;
+        axes.appendChild(createSvgElement('text', {
+            x: scale.x(index),
+            y: CHART_HEIGHT - CHART_MARGIN.bottom + 18,
+            class: 'chart-label',
+            'text-anchor': 'middle'
+        }, String(label)));
+    });
+    
+    svg.appendChild(axes);
+}
+
+/**
+ * Create an HTML legend with a color swatch per series
+ */
+function createChartLegend(labels) {
+    const legend = createElement('ul', 'chart-legend');
+    labels.forEach((label, index) => {
+        const item = createElement('li', 'chart-legend-item');
+        const swatch = createElement('span', 'chart-swatch');
+        swatch.style.background = getChartColor(index);
+        swatch.setAttribute('aria-hidden', 'true');
+        item.appendChild(swatch);
+        item.appendChild(createElement('span', null, label));
+        legend.appendChild(item);
+    });
+    return legend;
+}
+
+/**
+ * Get the series color for an index (theme-aware CSS custom property)
+ */
+function getChartColor(index) {
+    return `var(--chart-color-${(index % CHART_COLOR_COUNT) + 1})`;
+}
@@ -0,0 +1,231 @@
+/**
+ * Zwijntje Hall of Fame - Player Comparison
+ * Renders the head-to-head view (#/vergelijk/<slug>,<slug>,<slug>) for up to three players
+ */
+
+// Maximum number of players in a comparison
+const COMPARE_MAX_PLAYERS = 3;
+
+/**
+ * Set up the player pickers of the comparison view
+ */
+function setupCompareControls() {
+    document.querySelectorAll('.compare-input').forEach(input => {
+        input.addEventListener('change', handleCompareChange);
+    });
+}
+
+/**
+ * Update the URL when a player is picked or removed, so the comparison can be shared
+ */
+function handleCompareChange() {
+    const slugs = [...document.querySelectorAll('.compare-input')]
+        .map(input => input.value.trim())
+        .filter(Boolean)
+        .map(slugify)
+        .filter((slug, index, all) => all.indexOf(slug) === index);
+    
+    window.location.hash = `#/vergelijk/${slugs.join(',')}`;
+}
+
+/**
+ * Render the comparison view for a comma separated list of player slugs
+ */
+function renderComparison(param) {
+    const container = document.getElementById('compareResults');
+    if (!container) return;
+    
+    container.textContent = '';
+    
+    if (!hallOfFameData) return;
+    
+    const players = (param || '')
+        .split(',')
+        .filter(Boolean)
+        .slice(0, COMPARE_MAX_PLAYERS)
+        .map(findPlayerBySlug)
+        .filter(Boolean);
+    
+    updateComparePickers(players);
+    
+    if (players.length < 2) {
+        container.appendChild(createElement('p', 'compare-hint', t('compare.hint')));
+        return;
+    }
+    
+    document.title = t('site.pageTitle', { name: players.map(p => p.displayName).join(' vs ') });
+    
+    const resultsPerPlayer = players.map(player => getPlayerResults(player, getActiveResults()));
+    
+    container.appendChild(createElement('h3', 'player-section-title', t('compare.perCategory')));
+    container.appendChild(createComparisonTable(players, resultsPerPlayer));
+    
+    container.appendChild(createElement('h3', 'player-section-title', t('compare.overTime')));
+    const chart = createElement('div', 'chart-container compare-chart');
+    chart.appendChild(createCumulativeChart(players.map(player => player.displayName)));
+    container.appendChild(chart);
+    
+    container.appendChild(createElement('h3', 'player-section-title', t('compare.activeYears')));
+    container.appendChild(createActiveYears(players, resultsPerPlayer));
+    
+    container.appendChild(createElement('h3', 'player-section-title', t('compare.shared')));
+    container.appendChild(createSharedTitles(players));
+}
+
+/**
+ * Fill the pickers with the compared players and the suggestion list with all players
+ */
+function updateComparePickers(players) {
+    const datalist = document.getElementById('comparePlayerList');
+    if (datalist) {
+        datalist.textContent = '';
+        allPlayers.forEach(player => {
+            const option = createElement('option');
+            option.value = player.displayName;
+            datalist.appendChild(option);
+        });
+    }
+    
+    document.querySelectorAll('.compare-input').forEach((input, index) => {
+        input.value = players[index] ? players[index].displayName : '';
+    });
+}
+
+/**
+ * Create the category breakdown table with one column per player
+ * The best value in each row is highlighted
+ */
+function createComparisonTable(players, resultsPerPlayer) {
+    const table = createElement('table', 'detail-table compare-table');
+    
+    const headRow = createElement('tr');
+    const categoryTh = createElement('th', null, t('common.category'));
+    categoryTh.scope = 'col';
+    headRow.appendChild(categoryTh);
+    players.forEach(player => {
+        const th = createElement('th');
+        th.scope = 'col';
+        appendPlayerLinks(th, [player.displayName], '');
+        headRow.appendChild(th);
+    });
+    table.appendChild(createElement('thead')).appendChild(headRow);
+    
+    const rows = getVisibleCategoryKeys().map(categoryKey => ({
+        label: getCategoryLabel(categoryKey),
+        values: resultsPerPlayer.map(results => results.filter(result => getCategoryKey(result) === categoryKey).length)
+    }));
+    rows.push({
+        label: t('table.total'),
+        values: resultsPerPlayer.map(results => results.length),
+        className: 'compare-total'
+    });
+    
+    const tbody = createElement('tbody');
+    rows.forEach(row => {
+        const tr = createElement('tr', row.className);
+        const th = createElement('th', null, row.label);
+        th.scope = 'row';
+        tr.appendChild(th);
+        
+        const best = Math.max(...row.values);
+        row.values.forEach(value => {
+            const className = value === 0 ? 'empty' : (value === best ? 'compare-best' : null);
+            tr.appendChild(createElement('td', className, value > 0 ? String(value) : '-'));
+        });
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    
+    return table;
+}
+
+/**
+ * Create a per-player strip of the years with at least one title
+ */
+function createActiveYears(players, resultsPerPlayer) {
+    const allYears = resultsPerPlayer.flat().map(result => result.year);
+    const wrapper = createElement('div', 'compare-years');
+    
+    if (allYears.length === 0) return wrapper;
+    
+    const firstYear = Math.min(...allYears);
+    const lastYear = Math.max(...allYears);
+    
+    players.forEach((player, index) => {
+        const years = resultsPerPlayer[index].map(result => result.year);
+        const titleYears = new Set(years);
+        const streak = getLongestStreak(years);
+        
+        const row = createElement('div', 'compare-years-row');
+        const info = createElement('div', 'compare-years-info');
+        info.appendChild(createElement('div', 'partnership-names', player.displayName));
+        info.appendChild(createElement('div', 'partnership-meta', years.length
+            ? t('compare.activeSummary', {
+                from: String(Math.min(...years)),
+                to: String(Math.max(...years)),
+                seasons: titleYears.size,
+                streak: streak.length
+            })
+            : t('compare.noTitles')));
+        row.appendChild(info);
+        
+        const strip = createElement('div', 'compare-years-strip');
+        strip.setAttribute('aria-hidden', 'true');
+        for (let year = firstYear; year <= lastYear; year++) {
+            const cell = createElement('span', titleYears.has(year) ? 'compare-year active' : 'compare-year');
+            cell.title = String(year);
+            if (titleYears.has(year)) {
+                cell.style.background = getChartColor(index);
+            }
+            strip.appendChild(cell);
+        }
+        row.appendChild(strip);
+        
+        wrapper.appendChild(row);
+    });
+    
+    const axis = createElement('div', 'compare-years-axis');
+    axis.appendChild(createElement('span', null, String(firstYear)));
+    axis.appendChild(createElement('span', null, String(lastYear)));
+    wrapper.appendChild(axis);
+    
+    return wrapper;
+}
+
+/**
+ * Create the list of titles won together by two or more of the compared players
+ */
+function createSharedTitles(players) {
+    const playerKeys = players.map(player => normalizeName(player.displayName));
+    const shared = getActiveResults()
+        .filter(result => result.winners.filter(name => playerKeys.includes(normalizeName(name))).length > 1)
+        .sort((a, b) => a.year - b.year);
+    
+    if (shared.length === 0) {
+        return createElement('p', 'compare-hint', t('compare.noShared'));
+    }
+    
+    const table = createElement('table', 'detail-table');
+    const headRow = createElement('tr');
+    [t('common.year'), t('common.category'), t('compare.winners')].forEach(heading => {
+        const th = createElement('th', null, heading);
+        th.scope = 'col';
+        headRow.appendChild(th);
+    });
+    table.appendChild(createElement('thead')).appendChild(headRow);
+    
+    const tbody = createElement('tbody');
+    shared.forEach(result => {
+        const row = createElement('tr');
+        row.appendChild(createElement('td', null, String(result.year)));
+        row.appendChild(createElement('td', null, getResultLabel(result)));
+        
+        const winnersCell = createElement('td');
+        appendPlayerLinks(winnersCell, result.winners, ', ');
+        row.appendChild(winnersCell);
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    
+    return table;
+}
@@ -0,0 +1,203 @@
+/**
+ * Zwijntje Hall of Fame - Embed
+ * Entry point of embed.html, the framed widget for other sites (zwijntje.nl). It shows one slice
+ * of the hall of fame, chosen in the query string:
+ *   ?weergave=top&aantal=10                  top players (default)
+ *   ?weergave=categorie&categorie=comp-zomer latest champions of a category (column or key)
+ *   ?weergave=seizoen&jaar=2024              champions of a season (default: the latest)
+ * Optional: poule (A, AB, ABC), taal (nl, en), thema (light, dark) and kleur (accent colour, hex).
+ * Data loading, aggregation and labels come from main.js.
+ */
+
+const EMBED_VIEWS = ['top', 'categorie', 'seizoen'];
+const EMBED_DEFAULT_COUNT = 10;
+const EMBED_MAX_COUNT = 50;
+
+// Message to the host page (see widget.js), so the frame can grow with its content
+const EMBED_RESIZE_MESSAGE = 'zwijntje-halloffame:resize';
+
+/**
+ * Initialize the widget
+ */
+async function initEmbed() {
+    const options = getEmbedOptions(new URLSearchParams(window.location.search));
+    
+    applyEmbedTheme(options);
+    if (options.language) {
+        // A language chosen by the host page is not remembered for the full site
+        currentLanguage = options.language;
+        applyTranslations();
+    } else {
+        loadLanguage();
+    }
+    
+    currentPoules = options.poules;
+    await loadData();
+    
+    const content = document.getElementById('embedContent');
+    content.textContent = '';
+    
+    if (!hallOfFameData) {
+        content.appendChild(createElement('p', 'embed-empty', `${t('errors.load')} ${t('errors.refresh')}`));
+    } else if (options.view === 'categorie') {
+        renderEmbedCategory(content, options);
+    } else if (options.view === 'seizoen') {
+        renderEmbedSeason(content, options);
+    } else {
+        renderEmbedTop(content, options);
+    }
+    
+    const lastUpdated = document.getElementById('embedLastUpdated');
+    if (lastUpdated && hallOfFameData) {
+        lastUpdated.textContent = t('table.lastUpdated', { date: formatDate(new Date(hallOfFameData.lastUpdated)) });
+    }
+    
+    postEmbedHeight();
+    window.addEventListener('resize', debounce(postEmbedHeight, 100));
+}
+
+/**
+ * Read the widget options from the query string; invalid values fall back to the defaults
+ */
+function getEmbedOptions(params) {
+    const view = params.get('weergave');
+    const count = parseInt(params.get('aantal'));
+    const poule = (params.get('poule') || 'A').toUpperCase();
+    const color = params.get('kleur') || '';
+    
+    return {
+        view: EMBED_VIEWS.includes(view) ? view : 'top',
+        count: count > 0 ? Math.min(count, EMBED_MAX_COUNT) : EMBED_DEFAULT_COUNT,
+        category: params.get('categorie'),
+        year: parseInt(params.get('jaar')) || null,
+        poules: /^[ABC]+$/.test(poule) ? [...new Set(poule)] : ['A'],
+        language: SUPPORTED_LANGUAGES.includes(params.get('taal')) ? params.get('taal') : null,
+        theme: ['light', 'dark'].includes(params.get('thema')) ? params.get('thema') : null,
+        color: /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(color) ? `#${color.replace('#', '')}` : null
+    };
+}
+
+/**
+ * Match the host page: light or dark theme (default: the system setting) and accent colour
+ */
+function applyEmbedTheme(options) {
+    const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+    const theme = options.theme || (prefersDark ? 'dark' : 'light');
+    document.documentElement.setAttribute('data-theme', theme);
+    
+    if (options.color) {
+        document.documentElement.style.setProperty('--color-primary', options.color);
+        document.documentElement.style.setProperty('--color-accent', options.color);
+    }
+}
+
+/**
+ * Top players by titles in the selected poules
+ */
+function renderEmbedTop(content, options) {
+    content.appendChild(createElement('h1', 'embed-title', t('embed.top', { count: options.count })));
+    
+    const table = createElement('table', 'embed-table');
+    const headerRow = table.createTHead().insertRow();
+    [t('table.rank'), t('table.name'), t('table.total')].forEach(label => {
+        headerRow.appendChild(createElement('th', null, label));
+    });
+    
+    const tbody = table.createTBody();
+    allPlayers.slice(0, options.count).forEach(player => {
+        const row = tbody.insertRow();
+        row.appendChild(createElement('td', 'embed-rank', String(player.rank)));
+        
+        const nameCell = createElement('td');
+        appendPlayerLinks(nameCell, [player.displayName], '');
+        row.appendChild(nameCell);
+        
+        row.appendChild(createElement('td', 'embed-total', formatNumber(player.totalWins)));
+    });
+    
+    content.appendChild(table);
+}
+
+/**
+ * Champions of a single category, newest first, for the last `count` years
+ */
+function renderEmbedCategory(content, options) {
+    const category = categories.find(c => c.column === options.category || c.key === options.category);
+    if (!category) {
+        content.appendChild(createElement('p', 'embed-empty', t('embed.unknownCategory')));
+        return;
+    }
+    
+    content.appendChild(createElement('h1', 'embed-title', `${category.icon} ${localize(category.label)}`));
+    
+    const results = getActiveResults()
+        .filter(result => getCategoryKey(result) === category.key)
+        .sort((a, b) => b.year - a.year || (a.poule || 'A').localeCompare(b.poule || 'A'));
+    const years = [...new Set(results.map(result => result.year))].slice(0, options.count);
+    
+    const list = createElement('dl', 'embed-list');
+    years.forEach(year => {
+        list.appendChild(createElement('dt', null, String(year)));
+        results
+            .filter(result => result.year === year)
+            .forEach(result => list.appendChild(createEmbedWinners(result)));
+    });
+    content.appendChild(list);
+}
+
+/**
+ * All champions of a season (default: the most recent one), in category order
+ */
+function renderEmbedSeason(content, options) {
+    const years = getDataYears();
+    const season = years.includes(options.year) ? options.year : years[years.length - 1];
+    
+    content.appendChild(createElement('h1', 'embed-title', t('season.title', { year: String(season) })));
+    
+    const seasonResults = getActiveResults().filter(result => result.year === season);
+    const list = createElement('dl', 'embed-list');
+    
+    getCategoryKeys().forEach(categoryKey => {
+        const categoryResults = seasonResults
+            .filter(result => getCategoryKey(result) === categoryKey)
+            .sort((a, b) => (a.poule || 'A').localeCompare(b.poule || 'A'));
+        if (categoryResults.length === 0) return;
+        
+        list.appendChild(createElement('dt', null, getCategoryLabel(categoryKey)));
+        categoryResults.forEach(result => list.appendChild(createEmbedWinners(result)));
+    });
+    
+    if (list.children.length === 0) {
+        content.appendChild(createElement('p', 'embed-empty', t('season.noChampion')));
+        return;
+    }
+    content.appendChild(list);
+}
+
+/**
+ * Winners of a title, with the poule when more than one poule is shown
+ */
+function createEmbedWinners(result) {
+    const line = createElement('dd', 'embed-winners');
+    
+    if (currentPoules.length > 1) {
+        line.appendChild(createElement('span', 'season-poule', t('season.poule', { poule: result.poule || 'A' })));
+    }
+    appendPlayerLinks(line, result.winners, ', ');
+    
+    const note = createResultNote(result);
+    if (note) line.appendChild(note);
+    return line;
+}
+
+/**
+ * Tell the host page how high the widget is
+ */
+function postEmbedHeight() {
+    if (window.parent === window) return;
+    
+    window.parent.postMessage({
+        type: EMBED_RESIZE_MESSAGE,
+        height: Math.ceil(document.documentElement.getBoundingClientRect().height)
+    }, '*');
+}
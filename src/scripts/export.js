@@ -0,0 +1,176 @@
+/**
+ * Zwijntje Hall of Fame - Export
+ * Exports the current (filtered and sorted) table to CSV or JSON, and prepares the print layout
+ */
+
+/**
+ * Set up the export menu and the print summary
+ */
+function setupExportControls() {
+    const actions = {
+        exportCsv: exportCsv,
+        exportJson: exportJson,
+        exportPrint: () => window.print()
+    };
+    
+    Object.entries(actions).forEach(([id, action]) => {
+        const button = document.getElementById(id);
+        if (button) {
+            button.addEventListener('click', () => {
+                action();
+                // Close the menu after choosing
+                const menu = button.closest('details');
+                if (menu) menu.open = false;
+            });
+        }
+    });
+    
+    window.addEventListener('beforeprint', updatePrintSummary);
+}
+
+/**
+ * Get the rows of the current table view: rank (and its change) as shown, name, total, points,
+ * subtotals per type (when the table shows them) and wins per category
+ */
+function getExportRows() {
+    return filteredPlayers.map(player => ({
+        ...getShownRank(player),
+        name: player.displayName,
+        total: player.totalWins,
+        points: player.points,
+        subtotals: getSubtotalTypes().reduce((subtotals, type) => {
+            subtotals[type.key] = player.typeWins[type.key] || 0;
+            return subtotals;
+        }, {}),
+        wins: getVisibleCategoryKeys().reduce((wins, categoryKey) => {
+            wins[categoryKey] = player.wins[categoryKey] || 0;
+            return wins;
+        }, {})
+    }));
+}
+
+/**
+ * Download the current view as CSV, with the columns of the table and headers in the current language
+ * Uses a semicolon separator and a BOM so Dutch spreadsheet programs open it correctly
+ */
+function exportCsv() {
+    const subtotalTypes = getSubtotalTypes();
+    const categoryKeys = getVisibleCategoryKeys();
+    const header = [
+        t('table.rank'),
+        t('table.name'),
+        t('table.total'),
+        t('table.points'),
+        ...subtotalTypes.map(type => t('table.subtotalTitle', { type: localize(type.label) })),
+        ...categoryKeys.map(getCategoryLabel)
+    ];
+    const rows = getExportRows().map(row => [
+        row.rank,
+        row.name,
+        row.total,
+        formatNumber(row.points),
+        ...subtotalTypes.map(type => row.subtotals[type.key]),
+        ...categoryKeys.map(categoryKey => row.wins[categoryKey])
+    ]);
+    
+    const csv = [header, ...rows]
+        .map(cells => cells.map(formatCsvCell).join(';'))
+        .join('\r\n');
+    
+    downloadFile(`\uFEFF${csv}`, getExportFileName('csv'), 'text/csv;charset=utf-8');
+}
+
+/**
+ * Download the current view as JSON, including the active filters
+ */
+function exportJson() {
+    const data = {
+        exported: new Date().toISOString(),
+        lastUpdated: hallOfFameData ? hallOfFameData.lastUpdated : null,
+        filters: getFilterDescription(),
+        language: currentLanguage,
+        categories: getVisibleCategoryKeys().reduce((labels, categoryKey) => {
+            labels[categoryKey] = getCategoryLabel(categoryKey);
+            return labels;
+        }, {}),
+        players: getExportRows()
+    };
+    
+    downloadFile(JSON.stringify(data, null, 2), getExportFileName('json'), 'application/json');
+}
+
+/**
+ * Quote a CSV cell when it contains a separator, quote or line break
+ */
+function formatCsvCell(value) {
+    const text = String(value);
+    return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * File name for exports, e.g. "eregalerij-zwijntje-2025-12-19.csv"
+ */
+function getExportFileName(extension) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `eregalerij-zwijntje-${date}.${extension}`;
+}
+
+/**
+ * Trigger a browser download for generated content
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const link = createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Describe the active search, filters and sort in words (for print and JSON export)
+ */
+function getFilterDescription() {
+    const parts = [];
+    const searchTerm = document.getElementById('searchInput').value.trim();
+    const minWins = parseInt(document.getElementById('minWins').value) || 1;
+    const pouleSelect = document.getElementById('pouleSelect');
+    
+    if (searchTerm) parts.push(t('export.search', { term: searchTerm }));
+    if (minWins > 1) parts.push(t('export.minWins', { count: minWins }));
+    if (pouleSelect) parts.push(pouleSelect.options[pouleSelect.selectedIndex].textContent.trim());
+    if (currentType) {
+        const type = hallOfFameData.types.find(type => type.key === currentType);
+        if (type) parts.push(localize(type.label));
+    }
+    if (currentTieBreak) parts.push(t('filters.tieBreakChampionships'));
+    if (currentYearRange.from && currentYearRange.to) {
+        parts.push(`${currentYearRange.from}–${currentYearRange.to}`);
+    }
+    
+    const sortTh = document.querySelector(`.sortable[data-sort="${currentSort.column}"]`);
+    if (sortTh) {
+        const sortLabel = sortTh.title || sortTh.querySelector('.sort-label').textContent.trim();
+        parts.push(t('export.sortedBy', {
+            column: sortLabel,
+            direction: t(currentSort.direction === 'desc' ? 'export.descending' : 'export.ascending')
+        }));
+    }
+    
+    return parts.join(' · ');
+}
+
+/**
+ * Fill the print-only summary above the table
+ */
+function updatePrintSummary() {
+    const summary = document.getElementById('printSummary');
+    if (!summary) return;
+    
+    summary.textContent = `${getFilterDescription()} · ${t('export.printed', { date: formatDate(new Date()) })}`;
+}
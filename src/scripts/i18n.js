@@ -0,0 +1,505 @@
+/**
+ * Zwijntje Hall of Fame - Translations
+ * Dutch and English dictionaries, language selection and locale-aware formatting
+ *
+ * Static texts in index.html are translated through data attributes:
+ *   data-i18n (text), data-i18n-placeholder, data-i18n-aria-label, data-i18n-title
+ * Dynamic texts use t('key', { params }). Values with "one"/"other" forms are pluralized on params.count.
+ */
+
+const SUPPORTED_LANGUAGES = ['nl', 'en'];
+const DEFAULT_LANGUAGE = 'nl';
+
+// Locales used for date and number formatting
+const LANGUAGE_LOCALES = {
+    nl: 'nl-NL',
+    en: 'en-GB'
+};
+
+const TRANSLATIONS = {
+    nl: {
+        'site.title': "Eregalerij - JBV 't Zwijntje",
+        'site.pageTitle': "{name} - Eregalerij JBV 't Zwijntje",
+        'header.title': "Eregalerij JBV 't Zwijntje",
+        'header.subtitle': 'Alle kampioenen sinds 1997',
+        'header.themeToggle': 'Wissel thema',
+        'header.languageToggle': 'Switch to English',
+        'header.languageToggleText': 'EN',
+        
+        'info.title': 'Over deze Eregalerij',
+        'info.text': "Hier vind je een overzicht van alle winnaars van de clubkampioenschappen en clubcompetities van JBV 't Zwijntje. De telling laat zien hoe vaak iemand het A-poule of de hoofdprijs heeft gewonnen.",
+        'info.noteLabel': 'Let op:',
+        'info.note': 'Standaard tellen alleen overwinningen in Poule A mee voor de totaalstand. Met de poule-keuze kun je ook de winnaars van Poule B en C bekijken.',
+        
+        'stats.players': 'Spelers',
+        'stats.totalWins': 'Totale Overwinningen',
+        'stats.topPlayer': 'Meeste Overwinningen',
+        'stats.topPoints': 'Meeste Punten',
+        
+        'filters.search': 'Zoeken',
+        'filters.searchPlaceholder': 'Zoek op naam...',
+        'filters.searchLabel': 'Zoek speler op naam',
+        'filters.minWins': 'Min. overwinningen',
+        'filters.minWinsLabel': 'Minimaal aantal overwinningen',
+        'filters.poule': 'Poule',
+        'filters.pouleA': 'Alleen Poule A',
+        'filters.pouleAll': 'Alle poules (A+B+C)',
+        'filters.pouleB': 'Poule B',
+        'filters.pouleC': 'Poule C',
+        'filters.type': 'Titels',
+        'filters.typeAll': 'Alle titels',
+        'filters.tieBreak': 'Gelijke stand',
+        'filters.tieBreakShared': 'Gedeelde plaats',
+        'filters.tieBreakChampionships': 'Meeste kampioenschappen, dan laatste titel',
+        'filters.period': 'Periode',
+        'filters.yearFrom': 'Vanaf jaar',
+        'filters.yearTo': 'Tot en met jaar',
+        'filters.yearSeparator': 't/m',
+        'filters.seasonLink': '📅 Alle kampioenen per seizoen',
+        'filters.compareLink': '⚖️ Vergelijk spelers',
+        'filters.recordsLink': '🏆 Clubrecords',
+        'filters.copyLink': '🔗 Kopieer link naar deze stand',
+        'filters.linkCopied': '✓ Link gekopieerd',
+        'filters.copyFailed': 'Kopiëren mislukt',
+        
+        'export.toggle': '⬇️ Exporteren',
+        'export.csv': 'CSV (spreadsheet)',
+        'export.print': 'Afdrukken / PDF',
+        'export.search': 'Zoekterm "{term}"',
+        'export.minWins': 'Minimaal {count} overwinningen',
+        'export.sortedBy': 'Gesorteerd op {column} ({direction})',
+        'export.descending': 'aflopend',
+        'export.ascending': 'oplopend',
+        'export.printed': 'Afgedrukt op {date}',
+        
+        'table.rank': 'Rang',
+        'table.name': 'Naam',
+        'table.total': 'Totaal',
+        'table.points': 'Punten',
+        'table.pointsTitle': 'Titels gewogen naar categorie en poule (zie de legenda)',
+        'table.subtotalTitle': 'Subtotaal {type}',
+        'table.rankUp': { one: '{count} plaats gestegen t.o.v. de stand na {year}', other: '{count} plaatsen gestegen t.o.v. de stand na {year}' },
+        'table.rankDown': { one: '{count} plaats gedaald t.o.v. de stand na {year}', other: '{count} plaatsen gedaald t.o.v. de stand na {year}' },
+        'table.rankSame': 'Zelfde plaats als in de stand na {year}',
+        'table.rankNew': 'nieuw',
+        'table.rankNewTitle': 'Nieuw in de stand (geen titels t/m {year})',
+        'table.sortBy': 'Sorteer op {column}',
+        'table.loading': 'Data laden...',
+        'table.noResults': 'Geen resultaten gevonden. Pas de filters aan.',
+        'table.lastUpdated': 'Laatst bijgewerkt: {date}',
+        'table.players': { one: '{count} speler', other: '{count} spelers' },
+        'table.playersOf': { one: '{count} van {total} speler', other: '{count} van {total} spelers' },
+        
+        'columns.toggle': '☰ Kolommen',
+        'cards.label': 'Spelers',
+        'cards.sort': 'Sorteer op',
+        'cards.descending': 'Aflopend, tik voor oplopend',
+        'cards.ascending': 'Oplopend, tik voor aflopend',
+        'cards.filters': '🔍 Filters',
+        'cards.years': 'Titeljaren',
+        
+        'errors.load': 'Fout bij laden van data.',
+        'errors.timeout': 'De verbinding duurde te lang. Controleer je internetverbinding.',
+        'errors.server': 'Server fout: {message}',
+        'errors.network': 'Kan geen verbinding maken. Controleer je internetverbinding.',
+        'errors.refresh': 'Probeer de pagina te verversen.',
+        
+        'offline.notice': 'Offline – gegevens van {date}',
+        'offline.updateAvailable': 'Er zijn nieuwere gegevens beschikbaar.',
+        'offline.reload': 'Vernieuwen',
+        
+        'legend.title': 'Legenda',
+        'legend.points': { one: '{count} punt', other: '{count} punten' },
+        'legend.pouleWeights': 'Punten per poule: {weights}',
+        'legend.rankChange': 'Verschil in rang met de stand na het vorige seizoen',
+        
+        'common.back': '← Terug naar de eregalerij',
+        'common.titles': { one: '{count} titel', other: '{count} titels' },
+        'common.year': 'Jaar',
+        'common.category': 'Categorie',
+        'common.pouleLabel': '{label} (Poule {poule})',
+        'common.manualAddition': 'Niet op de clubwebsite – bron: {note}',
+        'common.manualOverride': 'Gecorrigeerd t.o.v. de clubwebsite – bron: {note}',
+        
+        'partnerships.title': 'Meest succesvolle teams',
+        'partnerships.duos': "Duo's",
+        'partnerships.trios': "Trio's",
+        'partnerships.titlesTogether': { one: '{count} titel samen', other: '{count} titels samen' },
+        
+        'player.notFound': 'Speler niet gevonden.',
+        'player.compare': '⚖️ Vergelijk met andere spelers',
+        'player.titles': 'Titels',
+        'player.firstTitle': 'Eerste titel',
+        'player.lastTitle': 'Laatste titel',
+        'player.streak': { one: '{count} jaar', other: '{count} jaar' },
+        'player.longestStreak': 'Langste reeks',
+        'player.longestStreakRange': 'Langste reeks ({from}–{to})',
+        'player.timeline': 'Tijdlijn',
+        'player.perCategory': 'Per categorie',
+        'player.teamMates': 'Vaakste teamgenoten',
+        'player.allTitles': 'Alle titels',
+        'player.together': 'Samen met',
+        
+        'season.heading': 'Kampioenen',
+        'season.title': 'Kampioenen {year}',
+        'season.nav': 'Seizoenen',
+        'season.previous': 'Vorig seizoen',
+        'season.next': 'Volgend seizoen',
+        'season.select': 'Kies seizoen',
+        'season.noChampion': 'Geen kampioen bekend',
+        'season.poule': 'Poule {poule}: ',
+        
+        'embed.top': 'Eregalerij – top {count}',
+        'embed.unknownCategory': 'Onbekende categorie',
+        'embed.fullList': 'Bekijk de volledige eregalerij →',
+        
+        'charts.title': 'Trends door de jaren heen',
+        'charts.note': 'De grafieken volgen de zoek- en filterinstellingen hierboven.',
+        'charts.cumulative': 'Cumulatieve titels',
+        'charts.show': 'Toon',
+        'charts.pickPlayers': 'of kies spelers',
+        'charts.addPlayer': 'Voeg speler toe...',
+        'charts.selectedPlayers': 'Gekozen spelers',
+        'charts.removePlayer': 'Verwijder {name} uit de grafiek',
+        'charts.perCategory': 'Titels per categorie per jaar',
+        'charts.perDecade': 'Verschillende kampioenen per decennium',
+        'charts.cumulativeTitle': 'Cumulatieve titels per speler',
+        'charts.cumulativeDescription': 'Titels opgeteld over de jaren {from}–{to}. {summary}',
+        'charts.categoryDescription': '{count} titels verdeeld over {categories} categorieën per jaar',
+        'charts.noData': 'Geen gegevens',
+        'charts.decade': "jaren '{short}",
+        'charts.champions': { one: '{count} kampioen', other: '{count} kampioenen' },
+        
+        'compare.title': 'Spelers vergelijken',
+        'compare.player1': 'Speler 1',
+        'compare.player2': 'Speler 2',
+        'compare.player3': 'Speler 3 (optioneel)',
+        'compare.choosePlayer': 'Kies een speler...',
+        'compare.hint': 'Kies minimaal twee spelers om te vergelijken.',
+        'compare.perCategory': 'Titels per categorie',
+        'compare.overTime': 'Titels door de jaren heen',
+        'compare.activeYears': 'Actieve jaren',
+        'compare.shared': 'Samen gewonnen',
+        'compare.activeSummary': '{from}–{to} · {seasons} seizoenen met een titel · langste reeks {streak} jaar',
+        'compare.noTitles': 'Geen titels in de huidige selectie',
+        'compare.noShared': 'Deze spelers hebben (nog) geen titel samen gewonnen.',
+        'compare.winners': 'Winnaars',
+        
+        'records.title': 'Clubrecords',
+        'records.subtitle': 'Berekend over alle titels in Poule A',
+        'records.streak': 'Langste reeks',
+        'records.streakDescription': 'Meeste opeenvolgende jaren kampioen in dezelfde categorie',
+        'records.season': 'Beste seizoen',
+        'records.seasonDescription': 'Meeste titels in één seizoen',
+        'records.gap': 'Langste wachttijd',
+        'records.gapDescription': 'Meeste jaren tussen twee opeenvolgende titels',
+        'records.champions': 'Meeste kampioenen',
+        'records.championsDescription': 'Aantal verschillende spelers dat een categorie won',
+        'records.grandSlamAll': 'Grand slam',
+        'records.grandSlamAllDescription': 'Elke categorie minstens één keer gewonnen, kampioenschappen én competities (tête-à-tête Heren of Dames telt als één)',
+        'records.grandSlam': 'Grand slam: {type}',
+        'records.grandSlamDescription': 'Elke discipline minstens één keer gewonnen, met het jaar waarin de reeks compleet was',
+        'records.milestone': '{count}e titel',
+        'records.milestoneDescription': 'Spelers met {count} of meer titels, met het jaar waarin ze die mijlpaal bereikten',
+        'records.years': { one: '{count} jaar', other: '{count} jaar' },
+        'records.championCount': { one: '{count} kampioen', other: '{count} kampioenen' },
+        'records.completed': 'compleet in {year}',
+        'records.none': 'Nog niemand',
+        
+        'footer.website': 'Officiële website',
+        'footer.note': 'Data automatisch bijgewerkt van de officiële website'
+    },
+    en: {
+        'site.title': "Hall of Fame - JBV 't Zwijntje",
+        'site.pageTitle': "{name} - Hall of Fame JBV 't Zwijntje",
+        'header.title': "Hall of Fame JBV 't Zwijntje",
+        'header.subtitle': 'All champions since 1997',
+        'header.themeToggle': 'Toggle theme',
+        'header.languageToggle': 'Wissel naar Nederlands',
+        'header.languageToggleText': 'NL',
+        
+        'info.title': 'About this Hall of Fame',
+        'info.text': "An overview of all winners of the club championships and club competitions of JBV 't Zwijntje. The count shows how often someone won Poule A or the main prize.",
+        'info.noteLabel': 'Note:',
+        'info.note': 'By default only Poule A wins count towards the totals. Use the poule selector to see the winners of Poule B and C as well.',
+        
+        'stats.players': 'Players',
+        'stats.totalWins': 'Total Wins',
+        'stats.topPlayer': 'Most Wins',
+        'stats.topPoints': 'Most Points',
+        
+        'filters.search': 'Search',
+        'filters.searchPlaceholder': 'Search by name...',
+        'filters.searchLabel': 'Search player by name',
+        'filters.minWins': 'Min. wins',
+        'filters.minWinsLabel': 'Minimum number of wins',
+        'filters.poule': 'Poule',
+        'filters.pouleA': 'Poule A only',
+        'filters.pouleAll': 'All poules (A+B+C)',
+        'filters.pouleB': 'Poule B',
+        'filters.pouleC': 'Poule C',
+        'filters.type': 'Titles',
+        'filters.typeAll': 'All titles',
+        'filters.tieBreak': 'Ties',
+        'filters.tieBreakShared': 'Shared place',
+        'filters.tieBreakChampionships': 'Most championships, then latest title',
+        'filters.period': 'Period',
+        'filters.yearFrom': 'From year',
+        'filters.yearTo': 'Up to and including year',
+        'filters.yearSeparator': 'to',
+        'filters.seasonLink': '📅 All champions per season',
+        'filters.compareLink': '⚖️ Compare players',
+        'filters.recordsLink': '🏆 Club records',
+        'filters.copyLink': '🔗 Copy link to this view',
+        'filters.linkCopied': '✓ Link copied',
+        'filters.copyFailed': 'Copy failed',
+        
+        'export.toggle': '⬇️ Export',
+        'export.csv': 'CSV (spreadsheet)',
+        'export.print': 'Print / PDF',
+        'export.search': 'Search "{term}"',
+        'export.minWins': 'At least {count} wins',
+        'export.sortedBy': 'Sorted by {column} ({direction})',
+        'export.descending': 'descending',
+        'export.ascending': 'ascending',
+        'export.printed': 'Printed on {date}',
+        
+        'table.rank': 'Rank',
+        'table.name': 'Name',
+        'table.total': 'Total',
+        'table.points': 'Points',
+        'table.pointsTitle': 'Titles weighted by category and poule (see the legend)',
+        'table.subtotalTitle': 'Subtotal {type}',
+        'table.rankUp': { one: 'Up {count} place since the standings after {year}', other: 'Up {count} places since the standings after {year}' },
+        'table.rankDown': { one: 'Down {count} place since the standings after {year}', other: 'Down {count} places since the standings after {year}' },
+        'table.rankSame': 'Same place as in the standings after {year}',
+        'table.rankNew': 'new',
+        'table.rankNewTitle': 'New in the standings (no titles up to {year})',
+        'table.sortBy': 'Sort by {column}',
+        'table.loading': 'Loading data...',
+        'table.noResults': 'No results found. Adjust the filters.',
+        'table.lastUpdated': 'Last updated: {date}',
+        'table.players': { one: '{count} player', other: '{count} players' },
+        'table.playersOf': { one: '{count} of {total} players', other: '{count} of {total} players' },
+        
+        'columns.toggle': '☰ Columns',
+        'cards.label': 'Players',
+        'cards.sort': 'Sort by',
+        'cards.descending': 'Descending, tap for ascending',
+        'cards.ascending': 'Ascending, tap for descending',
+        'cards.filters': '🔍 Filters',
+        'cards.years': 'Title years',
+        
+        'errors.load': 'Error loading data.',
+        'errors.timeout': 'The connection took too long. Check your internet connection.',
+        'errors.server': 'Server error: {message}',
+        'errors.network': 'Unable to connect. Check your internet connection.',
+        'errors.refresh': 'Try refreshing the page.',
+        
+        'offline.notice': 'Offline – data from {date}',
+        'offline.updateAvailable': 'Newer data is available.',
+        'offline.reload': 'Refresh',
+        
+        'legend.title': 'Legend',
+        'legend.points': { one: '{count} point', other: '{count} points' },
+        'legend.pouleWeights': 'Points per poule: {weights}',
+        'legend.rankChange': 'Change in rank since the standings after the previous season',
+        
+        'common.back': '← Back to the hall of fame',
+        'common.titles': { one: '{count} title', other: '{count} titles' },
+        'common.year': 'Year',
+        'common.category': 'Category',
+        'common.pouleLabel': '{label} (Poule {poule})',
+        'common.manualAddition': 'Not on the club website – source: {note}',
+        'common.manualOverride': 'Corrected from the club website – source: {note}',
+        
+        'partnerships.title': 'Most successful teams',
+        'partnerships.duos': 'Duos',
+        'partnerships.trios': 'Trios',
+        'partnerships.titlesTogether': { one: '{count} title together', other: '{count} titles together' },
+        
+        'player.notFound': 'Player not found.',
+        'player.compare': '⚖️ Compare with other players',
+        'player.titles': 'Titles',
+        'player.firstTitle': 'First title',
+        'player.lastTitle': 'Last title',
+        'player.streak': { one: '{count} year', other: '{count} years' },
+        'player.longestStreak': 'Longest streak',
+        'player.longestStreakRange': 'Longest streak ({from}–{to})',
+        'player.timeline': 'Timeline',
+        'player.perCategory': 'By category',
+        'player.teamMates': 'Most frequent team-mates',
+        'player.allTitles': 'All titles',
+        'player.together': 'Together with',
+        
+        'season.heading': 'Champions',
+        'season.title': 'Champions {year}',
+        'season.nav': 'Seasons',
+        'season.previous': 'Previous season',
+        'season.next': 'Next season',
+        'season.select': 'Choose season',
+        'season.noChampion': 'No known champion',
+        'season.poule': 'Poule {poule}: ',
+        
+        'embed.top': 'Hall of fame – top {count}',
+        'embed.unknownCategory': 'Unknown category',
+        'embed.fullList': 'View the full hall of fame →',
+        
+        'charts.title': 'Trends over the years',
+        'charts.note': 'The charts follow the search and filter settings above.',
+        'charts.cumulative': 'Cumulative titles',
+        'charts.show': 'Show',
+        'charts.pickPlayers': 'or pick players',
+        'charts.addPlayer': 'Add player...',
+        'charts.selectedPlayers': 'Selected players',
+        'charts.removePlayer': 'Remove {name} from the chart',
+        'charts.perCategory': 'Titles per category per year',
+        'charts.perDecade': 'Distinct champions per decade',
+        'charts.cumulativeTitle': 'Cumulative titles per player',
+        'charts.cumulativeDescription': 'Titles added up over the years {from}–{to}. {summary}',
+        'charts.categoryDescription': '{count} titles across {categories} categories per year',
+        'charts.noData': 'No data',
+        'charts.decade': "{decade}s",
+        'charts.champions': { one: '{count} champion', other: '{count} champions' },
+        
+        'compare.title': 'Compare players',
+        'compare.player1': 'Player 1',
+        'compare.player2': 'Player 2',
+        'compare.player3': 'Player 3 (optional)',
+        'compare.choosePlayer': 'Choose a player...',
+        'compare.hint': 'Choose at least two players to compare.',
+        'compare.perCategory': 'Titles per category',
+        'compare.overTime': 'Titles over the years',
+        'compare.activeYears': 'Active years',
+        'compare.shared': 'Won together',
+        'compare.activeSummary': '{from}–{to} · {seasons} seasons with a title · longest streak {streak} years',
+        'compare.noTitles': 'No titles in the current selection',
+        'compare.noShared': 'These players have not won a title together (yet).',
+        'compare.winners': 'Winners',
+        
+        'records.title': 'Club records',
+        'records.subtitle': 'Based on all Poule A titles',
+        'records.streak': 'Longest streak',
+        'records.streakDescription': 'Most consecutive years as champion of the same category',
+        'records.season': 'Best season',
+        'records.seasonDescription': 'Most titles in a single season',
+        'records.gap': 'Longest wait',
+        'records.gapDescription': 'Most years between two consecutive titles',
+        'records.champions': 'Most champions',
+        'records.championsDescription': 'Number of different players who won a category',
+        'records.grandSlamAll': 'Grand slam',
+        'records.grandSlamAllDescription': 'Won every category at least once, championships and competitions (Tête-à-tête Men or Women counts as one)',
+        'records.grandSlam': 'Grand slam: {type}',
+        'records.grandSlamDescription': 'Won every discipline at least once, with the year the set was completed',
+        'records.milestone': '{count}th title',
+        'records.milestoneDescription': 'Players with {count} or more titles, with the year they reached that milestone',
+        'records.years': { one: '{count} year', other: '{count} years' },
+        'records.championCount': { one: '{count} champion', other: '{count} champions' },
+        'records.completed': 'completed in {year}',
+        'records.none': 'Nobody yet',
+        
+        'footer.website': 'Official website',
+        'footer.note': 'Data automatically updated from the official website'
+    }
+};
+
+let currentLanguage = DEFAULT_LANGUAGE;
+
+/**
+ * Load the saved language, or detect it from the browser on the first visit
+ */
+function loadLanguage() {
+    const savedLanguage = localStorage.getItem('language');
+    currentLanguage = SUPPORTED_LANGUAGES.includes(savedLanguage) ? savedLanguage : detectLanguage();
+    applyTranslations();
+}
+
+/**
+ * Pick the first supported language from the browser preferences
+ */
+function detectLanguage() {
+    const browserLanguages = navigator.languages || [navigator.language || ''];
+    for (const language of browserLanguages) {
+        const code = language.toLowerCase().split('-')[0];
+        if (SUPPORTED_LANGUAGES.includes(code)) {
+            return code;
+        }
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Switch to a language, remember the choice and translate the static texts
+ */
+function setLanguage(language) {
+    currentLanguage = SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+    localStorage.setItem('language', currentLanguage);
+    applyTranslations();
+}
+
+/**
+ * Translate a key, replacing {placeholders} with params
+ * Falls back to Dutch, then to the key itself
+ */
+function t(key, params = {}) {
+    const dictionary = TRANSLATIONS[currentLanguage] || TRANSLATIONS[DEFAULT_LANGUAGE];
+    let value = key in dictionary ? dictionary[key] : TRANSLATIONS[DEFAULT_LANGUAGE][key];
+    
+    if (value === undefined) {
+        return key;
+    }
+    
+    // Plural forms
+    if (typeof value === 'object') {
+        const form = new Intl.PluralRules(getLocale()).select(params.count);
+        value = value[form] || value.other;
+    }
+    
+    return value.replace(/\{(\w+)\}/g, (match, name) =>
+        name in params ? (typeof params[name] === 'number' ? formatNumber(params[name]) : params[name]) : match
+    );
+}
+
+/**
+ * Translate all static texts marked with data-i18n attributes
+ */
+function applyTranslations() {
+    document.documentElement.lang = currentLanguage;
+    
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+}
+
+/**
+ * Locale for the current language (e.g. "nl-NL")
+ */
+function getLocale() {
+    return LANGUAGE_LOCALES[currentLanguage] || LANGUAGE_LOCALES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * Format a number for the current locale
+ * Years and other identifiers are passed as strings and left as they are
+ */
+function formatNumber(value) {
+    return new Intl.NumberFormat(getLocale()).format(value);
+}
+
+/**
+ * Pick the current language from a text with one entry per language (e.g. { nl, en })
+ * Used for labels that come from the data file instead of TRANSLATIONS
+ */
+function localize(text) {
+    if (!text || typeof text === 'string') return text || '';
+    return text[currentLanguage] || text[DEFAULT_LANGUAGE] || Object.values(text)[0] || '';
+}
@@ -1,41 +1,58 @@
 /**
  * Zwijntje Hall of Fame - Main JavaScript
- * Handles data loading, table rendering, sorting, filtering, and theme management
+ * Handles data loading, table rendering, sorting, filtering, theme and language management
  */
 
 // Global state
 let allPlayers = [];
 let filteredPlayers = [];
 let currentSort = { column: 'total', direction: 'desc' };
+let currentPoules = ['A'];
+let currentYearRange = { from: null, to: null };
+let currentType = '';
+let currentTieBreak = '';
+let hiddenCategories = [];
 let hallOfFameData = null;
+let lastAppliedSearch = null;
 
-// Category mapping for display
-const CATEGORY_MAP = {
-    'championship_doubletten': 'champ-doubletten',
-    'championship_mix': 'champ-mix',
-    'championship_tete-a-tete': 'champ-tete',
-    'championship_tripletten': 'champ-tripletten',
-    'competition_doubletten': 'comp-doubletten',
-    'competition_tripletten': 'comp-tripletten',
-    'competition_zomercyclus': 'comp-zomer'
+// Offline support: data served from the service worker cache, newer data waiting for a reload
+let dataFromCache = false;
+let newerDataAvailable = false;
+
+// Categories from the data file (defined in scripts/sources.json), in column order
+let categories = [];
+
+// Season whose final standings the rank movement is measured against (null: no earlier season)
+let previousSeason = null;
+
+// Player fields holding the rank and its movement in the standing by titles and by points
+const RANK_FIELDS = {
+    total: { rank: 'rank', rankChange: 'rankChange' },
+    points: { rank: 'pointsRank', rankChange: 'pointsRankChange' }
 };
 
 /**
  * Initialize the application
  */
 async function init() {
-    // Load theme preference
+    // Load theme and language preferences
     loadTheme();
+    loadLanguage();
+    translateTableHeaders();
     
     // Set up event listeners
     setupEventListeners();
+    registerServiceWorker();
     
     // Load and display data
     await loadData();
     
-    // Initial render
-    renderTable();
-    updateStats();
+    // Initial render, with search, filters and sort restored from the URL
+    restoreStateFromUrl();
+    renderPartnerships();
+    
+    // Show the view requested in the URL (e.g. a player deep link)
+    handleRoute();
 }
 
 /**
@@ -56,22 +73,29 @@ async function loadData() {
         }
         
         hallOfFameData = await response.json();
-        allPlayers = hallOfFameData.players;
+        categories = hallOfFameData.categories || [];
+        dataFromCache = response.headers.get('X-Served-From') === 'cache';
+        updateStatusNotice();
+        renderCategoryControls();
+        renderCategoryHeaders();
+        renderLegend();
+        
+        refreshPlayers();
         filteredPlayers = [...allPlayers];
         
         console.log(`✓ Loaded ${allPlayers.length} players`);
     } catch (error) {
         console.error('Error loading data:', error);
         
-        let errorMessage = 'Fout bij laden van data. ';
+        let errorMessage = `${t('errors.load')} `;
         if (error.name === 'AbortError') {
-            errorMessage += 'De verbinding duurde te lang. Controleer je internetverbinding.';
+            errorMessage += t('errors.timeout');
         } else if (error.message.includes('HTTP')) {
-            errorMessage += `Server fout: ${error.message}`;
+            errorMessage += t('errors.server', { message: error.message });
         } else if (error.message.includes('Failed to fetch')) {
-            errorMessage += 'Kan geen verbinding maken. Controleer je internetverbinding.';
+            errorMessage += t('errors.network');
         } else {
-            errorMessage += 'Probeer de pagina te verversen.';
+            errorMessage += t('errors.refresh');
         }
         
         showError(errorMessage);
@@ -90,6 +114,12 @@ function setupEventListeners() {
         themeToggle.addEventListener('click', toggleTheme);
     }
     
+    // Language toggle
+    const languageToggle = document.getElementById('languageToggle');
+    if (languageToggle) {
+        languageToggle.addEventListener('click', toggleLanguage);
+    }
+    
     // Search input
     const searchInput = document.getElementById('searchInput');
     if (searchInput) {
@@ -102,36 +132,259 @@ function setupEventListeners() {
         minWins.addEventListener('change', handleMinWinsChange);
     }
     
+    // Poule selector
+    const pouleSelect = document.getElementById('pouleSelect');
+    if (pouleSelect) {
+        pouleSelect.addEventListener('change', handlePouleChange);
+    }
+    
+    // Championships/competitions and visible category columns
+    const typeSelect = document.getElementById('typeSelect');
+    if (typeSelect) {
+        typeSelect.addEventListener('change', handleTypeChange);
+    }
+    const columnOptions = document.getElementById('columnOptions');
+    if (columnOptions) {
+        columnOptions.addEventListener('change', handleColumnToggle);
+    }
+    
+    // Tie-break rule for the ranking
+    const tieBreakSelect = document.getElementById('tieBreakSelect');
+    if (tieBreakSelect) {
+        tieBreakSelect.addEventListener('change', handleTieBreakChange);
+    }
+    
+    // Year range
+    ['yearFrom', 'yearTo'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', handleYearRangeChange);
+        }
+    });
+    
+    // Season selector
+    const seasonSelect = document.getElementById('seasonSelect');
+    if (seasonSelect) {
+        seasonSelect.addEventListener('change', event => {
+            window.location.hash = `#/seizoen/${event.target.value}`;
+        });
+    }
+    
     // Sort buttons
     const sortButtons = document.querySelectorAll('.sortable');
     sortButtons.forEach(button => {
         button.addEventListener('click', handleSort);
     });
+    
+    // Sort bar of the card layout
+    setupCardControls();
+    
+    // Trend chart controls
+    setupChartControls();
+    
+    // Comparison player pickers
+    setupCompareControls();
+    
+    // Export menu (CSV, JSON, print)
+    setupExportControls();
+    
+    // Share the current view
+    const copyLinkButton = document.getElementById('copyLinkButton');
+    if (copyLinkButton) {
+        copyLinkButton.addEventListener('click', handleCopyLink);
+    }
+    
+    // Hash based navigation between views
+    window.addEventListener('hashchange', handleRoute);
+    
+    // Back/forward to a view that was left with other filters
+    window.addEventListener('popstate', handlePopState);
+    
+    // Offline notice
+    window.addEventListener('online', updateStatusNotice);
+    window.addEventListener('offline', updateStatusNotice);
+    const reloadButton = document.getElementById('statusNoticeReload');
+    if (reloadButton) {
+        reloadButton.addEventListener('click', () => window.location.reload());
+    }
+}
+
+/**
+ * Routing
+ * Views are selected by the URL hash: #/speler/<slug> shows a player,
+ * #/seizoen/<jaar> the champions of a season, #/vergelijk/<slug>,<slug> a comparison,
+ * anything else the hall of fame overview
+ */
+function handleRoute() {
+    const hash = decodeURIComponent(window.location.hash.replace(/^#\/?/, ''));
+    const [route, param] = hash.split('/');
+    
+    if (route === 'speler' && param) {
+        showView('playerView');
+        renderPlayerDetail(param);
+    } else if (route === 'seizoen') {
+        showView('seasonView');
+        renderSeason(parseInt(param));
+    } else if (route === 'vergelijk') {
+        showView('compareView');
+        renderComparison(param);
+    } else if (route === 'records') {
+        showView('recordsView');
+        renderRecords();
+    } else {
+        showView('overviewView');
+        document.title = t('site.title');
+    }
+}
+
+/**
+ * Show a single view and hide all others
+ */
+function showView(viewId) {
+    document.querySelectorAll('.view').forEach(view => {
+        view.classList.toggle('hidden', view.id !== viewId);
+    });
+    window.scrollTo(0, 0);
 }
 
 /**
  * Handle search input
  */
-function handleSearch(event) {
-    const searchTerm = event.target.value.toLowerCase().trim();
-    const minWins = parseInt(document.getElementById('minWins').value) || 1;
+function handleSearch() {
+    applyFilters();
+    writeStateToUrl();
+}
+
+/**
+ * Handle minimum wins filter change
+ */
+function handleMinWinsChange() {
+    applyFilters();
+    writeStateToUrl();
+}
+
+/**
+ * Handle poule selection change ("A", "ABC", "B", ...)
+ * Re-aggregates the player totals from the results of the selected poules
+ */
+function handlePouleChange(event) {
+    currentPoules = event.target.value.split('');
+    refreshPlayers();
+    applyFilters();
+    writeStateToUrl();
+}
+
+/**
+ * Handle the choice between all titles, championships only and competitions only
+ */
+function handleTypeChange(event) {
+    currentType = event.target.value;
+    applyCategorySelection();
+}
+
+/**
+ * Handle the tie-break rule: shared ranks, or most championships and then the most recent title
+ */
+function handleTieBreakChange(event) {
+    currentTieBreak = event.target.value;
+    refreshPlayers();
+    applyFilters();
+    writeStateToUrl();
+}
+
+/**
+ * Handle showing or hiding a category column
+ * Hidden categories do not count towards the totals either
+ */
+function handleColumnToggle(event) {
+    const categoryKey = event.target.value;
+    hiddenCategories = event.target.checked
+        ? hiddenCategories.filter(key => key !== categoryKey)
+        : [...hiddenCategories, categoryKey];
+    applyCategorySelection();
+}
+
+/**
+ * Rebuild the columns and re-aggregate the totals after the category selection changed
+ * Falls back to sorting by total when the sorted column is no longer shown
+ */
+function applyCategorySelection() {
+    renderCategoryControls();
+    renderCategoryHeaders();
     
-    filteredPlayers = allPlayers.filter(player => {
-        const nameMatch = player.displayName.toLowerCase().includes(searchTerm);
-        const winsMatch = player.totalWins >= minWins;
-        return nameMatch && winsMatch;
+    if (!document.querySelector(`.sortable[data-sort="${currentSort.column}"]`)) {
+        currentSort = { column: 'total', direction: 'desc' };
+        updateSortIndicators();
+    }
+    
+    refreshPlayers();
+    applyFilters();
+    writeStateToUrl();
+}
+
+/**
+ * Handle year range change
+ * Keeps the range valid by moving the other end along, then re-aggregates
+ */
+function handleYearRangeChange(event) {
+    const yearFrom = document.getElementById('yearFrom');
+    const yearTo = document.getElementById('yearTo');
+    
+    if (parseInt(yearFrom.value) > parseInt(yearTo.value)) {
+        if (event.target === yearFrom) {
+            yearTo.value = yearFrom.value;
+        } else {
+            yearFrom.value = yearTo.value;
+        }
+    }
+    
+    currentYearRange = {
+        from: parseInt(yearFrom.value),
+        to: parseInt(yearTo.value)
+    };
+    refreshPlayers();
+    applyFilters();
+    writeStateToUrl();
+}
+
+/**
+ * Fill the year range selects with all years in the data
+ */
+function populateYearSelects() {
+    const years = getDataYears();
+    if (years.length === 0) return;
+    
+    ['yearFrom', 'yearTo'].forEach(id => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        
+        select.textContent = '';
+        years.forEach(year => {
+            const option = createElement('option', null, String(year));
+            option.value = year;
+            select.appendChild(option);
+        });
     });
     
-    renderTable();
-    updateStats();
+    document.getElementById('yearFrom').value = currentYearRange.from || years[0];
+    document.getElementById('yearTo').value = currentYearRange.to || years[years.length - 1];
 }
 
 /**
- * Handle minimum wins filter change
+ * Get all distinct years in the data, ascending
+ */
+function getDataYears() {
+    if (!hallOfFameData) return [];
+    
+    return [...new Set(hallOfFameData.allResults.map(result => result.year))].sort((a, b) => a - b);
+}
+
+/**
+ * Apply the search and minimum wins filters to all players
  */
-function handleMinWinsChange(event) {
-    const minWins = parseInt(event.target.value) || 1;
+function applyFilters() {
     const searchTerm = document.getElementById('searchInput').value.toLowerCase().trim();
+    const minWins = parseInt(document.getElementById('minWins').value) || 1;
     
     filteredPlayers = allPlayers.filter(player => {
         const nameMatch = !searchTerm || player.displayName.toLowerCase().includes(searchTerm);
@@ -139,8 +392,248 @@ function handleMinWinsChange(event) {
         return nameMatch && winsMatch;
     });
     
+    sortPlayers();
     renderTable();
     updateStats();
+    renderCharts();
+}
+
+/**
+ * Get the category key of a result, as used in player.wins and the categories of the data file
+ * Mirrors getCategoryKey in scripts/extract-data.js
+ */
+function getCategoryKey(result) {
+    const categoryKey = `${result.type}_${result.category}`;
+    return result.division ? `${categoryKey}_${result.division}` : categoryKey;
+}
+
+/**
+ * Keys of all categories, in column order
+ */
+function getCategoryKeys() {
+    return categories.map(category => category.key);
+}
+
+/**
+ * Full label of a category in the current language
+ */
+function getCategoryLabel(categoryKey) {
+    const category = categories.find(c => c.key === categoryKey);
+    return category ? localize(category.label) : categoryKey;
+}
+
+/**
+ * Short column label of a category in the current language, with its icon
+ */
+function getCategoryShortLabel(categoryKey) {
+    const category = categories.find(c => c.key === categoryKey);
+    return category ? `${category.icon} ${localize(category.shortLabel)}` : categoryKey;
+}
+
+/**
+ * Create the provenance note of a title from the manual results ledger (scripts/manual-results.json)
+ * Returns null for titles taken from the club website
+ */
+function createResultNote(result) {
+    if (!result.manual) return null;
+    
+    const key = result.manual === 'override' ? 'common.manualOverride' : 'common.manualAddition';
+    return createElement('span', 'result-note', t(key, { note: result.note }));
+}
+
+/**
+ * Categories shown in the table: those of the selected type that are not hidden, in column order
+ */
+function getVisibleCategories() {
+    return categories.filter(category =>
+        (!currentType || category.type === currentType) && !hiddenCategories.includes(category.key)
+    );
+}
+
+/**
+ * Keys of the categories shown in the table
+ */
+function getVisibleCategoryKeys() {
+    return getVisibleCategories().map(category => category.key);
+}
+
+/**
+ * Types that get a subtotal column: only when categories of more than one type are shown
+ */
+function getSubtotalTypes() {
+    const visibleTypes = new Set(getVisibleCategories().map(category => category.type));
+    const types = (hallOfFameData && hallOfFameData.types) || [];
+    return visibleTypes.size > 1 ? types.filter(type => visibleTypes.has(type.key)) : [];
+}
+
+/**
+ * Get the results that match the current poule selection, year range and visible categories
+ */
+function getActiveResults() {
+    if (!hallOfFameData) return [];
+    
+    const { from, to } = currentYearRange;
+    const categoryKeys = getVisibleCategoryKeys();
+    
+    return hallOfFameData.allResults.filter(result =>
+        categoryKeys.includes(getCategoryKey(result)) &&
+        currentPoules.includes(result.poule || 'A') &&
+        (!from || result.year >= from) &&
+        (!to || result.year <= to)
+    );
+}
+
+/**
+ * Points of a title: the points of its category times the weight of its poule
+ * The weights are configured in scripts/sources.json and copied into the data file
+ */
+function getResultPoints(result) {
+    const category = categories.find(c => c.key === getCategoryKey(result));
+    const categoryPoints = category && category.points !== undefined ? category.points : 1;
+    const pouleWeight = getPouleWeights()[result.poule || 'A'];
+    
+    return categoryPoints * (pouleWeight === undefined ? 1 : pouleWeight);
+}
+
+/**
+ * Weight per poule in the points ranking ({ A: 1, B: 0.5, ... })
+ */
+function getPouleWeights() {
+    return (hallOfFameData && hallOfFameData.points && hallOfFameData.points.poules) || {};
+}
+
+/**
+ * Whether the table is ranked: sorted by titles or points, highest first
+ */
+function isRankingSort() {
+    return ['total', 'points'].includes(currentSort.column) && currentSort.direction === 'desc';
+}
+
+/**
+ * Metric of the standing shown in the rank column: the points when the table is sorted by
+ * points, the number of titles otherwise
+ */
+function getRankMetric() {
+    return currentSort.column === 'points' ? 'points' : 'total';
+}
+
+/**
+ * Rank and movement of a player in the standing shown in the rank column
+ */
+function getShownRank(player) {
+    const fields = RANK_FIELDS[getRankMetric()];
+    return { rank: player[fields.rank], rankChange: player[fields.rankChange] };
+}
+
+/**
+ * Whether a player is highlighted as one of the top 3 of the shown standing
+ */
+function isTopThree(player) {
+    return isRankingSort() && getShownRank(player).rank <= 3;
+}
+
+/**
+ * Compare two players by their standing on a metric: 'total' (the number of titles) or 'points'
+ * With the "kampioenschap" tie-break, equal players are separated by their championship titles
+ * and then by their most recent title; otherwise they share a rank
+ */
+function compareStanding(a, b, metric = 'total') {
+    const comparison = metric === 'points' ? b.points - a.points : b.totalWins - a.totalWins;
+    if (comparison !== 0 || currentTieBreak !== 'kampioenschap') return comparison;
+    
+    return (b.typeWins.championship || 0) - (a.typeWins.championship || 0) || b.lastYear - a.lastYear;
+}
+
+/**
+ * Standard competition ranking ("1224"): players with an equal standing share a rank and the
+ * next rank is skipped. Returns a map of normalized name to rank.
+ */
+function getStandingRanks(players, metric = 'total') {
+    const ranks = new Map();
+    const standing = [...players].sort((a, b) => compareStanding(a, b, metric));
+    
+    standing.forEach((player, index) => {
+        const previous = standing[index - 1];
+        const rank = previous && compareStanding(previous, player, metric) === 0
+            ? ranks.get(normalizeName(previous.displayName))
+            : index + 1;
+        ranks.set(normalizeName(player.displayName), rank);
+    });
+    
+    return ranks;
+}
+
+/**
+ * Re-aggregate the player totals and ranks from the titles in the current selection
+ * Called when the data, the poule/type/column/year selection or the tie-break rule changes
+ */
+function refreshPlayers() {
+    const results = getActiveResults();
+    allPlayers = aggregatePlayers(results);
+    rankPlayers(results);
+}
+
+/**
+ * Set the rank of every player in the standing by titles (rank) and by points (pointsRank), over
+ * all players of the selection whatever the search or table sort, and the change compared with
+ * the standing after the previous season of the selection
+ * rankChange, pointsRankChange: places gained (negative when dropped), null for players new in the standing
+ */
+function rankPlayers(results) {
+    const seasons = [...new Set(results.map(result => result.year))].sort((a, b) => a - b);
+    previousSeason = seasons.length > 1 ? seasons[seasons.length - 2] : null;
+    const previousPlayers = previousSeason
+        ? aggregatePlayers(results.filter(result => result.year <= previousSeason))
+        : [];
+    
+    Object.entries(RANK_FIELDS).forEach(([metric, fields]) => {
+        const ranks = getStandingRanks(allPlayers, metric);
+        const previousRanks = getStandingRanks(previousPlayers, metric);
+        
+        allPlayers.forEach(player => {
+            const key = normalizeName(player.displayName);
+            const rank = ranks.get(key);
+            player[fields.rank] = rank;
+            player[fields.rankChange] = previousRanks.has(key) ? previousRanks.get(key) - rank : null;
+        });
+    });
+}
+
+/**
+ * Aggregate wins per player from a list of results
+ * Same structure as the players in halloffame.json, sorted by total wins
+ */
+function aggregatePlayers(results) {
+    const playerMap = new Map();
+    
+    results.forEach(result => {
+        const categoryKey = getCategoryKey(result);
+        
+        result.winners.forEach(name => {
+            const key = normalizeName(name);
+            
+            if (!playerMap.has(key)) {
+                playerMap.set(key, {
+                    displayName: name,
+                    wins: {},
+                    typeWins: {},
+                    totalWins: 0,
+                    points: 0,
+                    lastYear: null
+                });
+            }
+            
+            const player = playerMap.get(key);
+            player.wins[categoryKey] = (player.wins[categoryKey] || 0) + 1;
+            player.typeWins[result.type] = (player.typeWins[result.type] || 0) + 1;
+            player.totalWins++;
+            player.points += getResultPoints(result);
+            player.lastYear = Math.max(player.lastYear || result.year, result.year);
+        });
+    });
+    
+    return Array.from(playerMap.values())
+        .sort((a, b) => b.totalWins - a.totalWins);
 }
 
 /**
@@ -160,16 +653,154 @@ function handleSort(event) {
         currentSort.direction = 'desc';
     }
     
+    applySort();
+}
+
+/**
+ * Re-sort and re-render after the sort column or direction changed (table header or card sort bar)
+ */
+function applySort() {
     // Sort the data
     sortPlayers();
     
     // Update UI
     updateSortIndicators();
     renderTable();
+    updateStats();
+    writeStateToUrl();
+}
+
+/**
+ * URL State
+ * Search, filters and sort are kept in the query string (?zoek=...&sorteer=naam-asc),
+ * so a view can be shared. Default values are left out. The current history entry is
+ * replaced rather than a new one added, so back/forward move between views (hash routes)
+ * and not between every keystroke or filter change.
+ */
+function writeStateToUrl() {
+    const params = new URLSearchParams();
+    const searchTerm = document.getElementById('searchInput').value.trim();
+    const minWins = parseInt(document.getElementById('minWins').value) || 1;
+    const years = getDataYears();
+    
+    if (searchTerm) params.set('zoek', searchTerm);
+    if (minWins > 1) params.set('min', minWins);
+    if (currentPoules.join('') !== 'A') params.set('poule', currentPoules.join(''));
+    if (currentType) params.set('soort', currentType);
+    if (currentTieBreak) params.set('gelijk', currentTieBreak);
+    if (hiddenCategories.length > 0) {
+        const columns = categories.filter(category => hiddenCategories.includes(category.key));
+        params.set('verberg', columns.map(category => category.column).join(','));
+    }
+    if (currentYearRange.from && currentYearRange.from !== years[0]) {
+        params.set('van', currentYearRange.from);
+    }
+    if (currentYearRange.to && currentYearRange.to !== years[years.length - 1]) {
+        params.set('tot', currentYearRange.to);
+    }
+    if (currentSort.column !== 'total' || currentSort.direction !== 'desc') {
+        params.set('sorteer', `${currentSort.column}-${currentSort.direction}`);
+    }
+    
+    const search = params.toString() ? `?${params}` : '';
+    if (search === window.location.search) return;
+    
+    lastAppliedSearch = search;
+    history.replaceState(null, '', `${window.location.pathname}${search}${window.location.hash}`);
+}
+
+/**
+ * Read search, filters and sort from the URL, update the controls and re-render
+ * Invalid values fall back to the defaults
+ */
+function restoreStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const years = getDataYears();
+    
+    document.getElementById('searchInput').value = params.get('zoek') || '';
+    document.getElementById('minWins').value = Math.max(1, parseInt(params.get('min')) || 1);
+    
+    // Poules
+    const pouleSelect = document.getElementById('pouleSelect');
+    const poule = params.get('poule') || 'A';
+    const validPoule = [...pouleSelect.options].some(option => option.value === poule);
+    pouleSelect.value = validPoule ? poule : 'A';
+    currentPoules = pouleSelect.value.split('');
+    
+    // Type and hidden category columns
+    const types = hallOfFameData ? hallOfFameData.types || [] : [];
+    currentType = types.some(type => type.key === params.get('soort')) ? params.get('soort') : '';
+    const hiddenColumns = (params.get('verberg') || '').split(',');
+    hiddenCategories = categories
+        .filter(category => hiddenColumns.includes(category.column))
+        .map(category => category.key);
+    renderCategoryControls();
+    renderCategoryHeaders();
+    
+    // Tie-break rule
+    const tieBreakSelect = document.getElementById('tieBreakSelect');
+    const tieBreak = params.get('gelijk') || '';
+    const validTieBreak = [...tieBreakSelect.options].some(option => option.value === tieBreak);
+    tieBreakSelect.value = validTieBreak ? tieBreak : '';
+    currentTieBreak = tieBreakSelect.value;
+    
+    // Year range (clamped to the years in the data)
+    const from = parseInt(params.get('van'));
+    const to = parseInt(params.get('tot'));
+    currentYearRange = {
+        from: years.includes(from) ? from : years[0] || null,
+        to: years.includes(to) ? to : years[years.length - 1] || null
+    };
+    if (currentYearRange.from > currentYearRange.to) {
+        currentYearRange.to = currentYearRange.from;
+    }
+    populateYearSelects();
+    
+    // Sort ("column-direction", e.g. "name-asc")
+    const [column, direction] = (params.get('sorteer') || '').split(/-(?=asc$|desc$)/);
+    const validColumn = column && document.querySelector(`.sortable[data-sort="${column}"]`);
+    currentSort = validColumn && ['asc', 'desc'].includes(direction)
+        ? { column, direction }
+        : { column: 'total', direction: 'desc' };
+    
+    lastAppliedSearch = window.location.search;
+    
+    refreshPlayers();
+    applyFilters();
+    updateSortIndicators();
+}
+
+/**
+ * Handle browser back/forward: restore the filter state when the query string changed
+ */
+function handlePopState() {
+    if (window.location.search !== lastAppliedSearch) {
+        restoreStateFromUrl();
+    }
+}
+
+/**
+ * Copy the link to the current view to the clipboard
+ */
+async function handleCopyLink(event) {
+    const button = event.currentTarget;
+    
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        button.textContent = t('filters.linkCopied');
+    } catch (error) {
+        console.error('Error copying link:', error);
+        button.textContent = t('filters.copyFailed');
+    }
+    
+    setTimeout(() => {
+        button.textContent = t('filters.copyLink');
+    }, 2000);
 }
 
 /**
  * Sort players based on current sort settings
+ * Players that are equal in the sorted column stay in the order of the standing
  */
 function sortPlayers() {
     filteredPlayers.sort((a, b) => {
@@ -181,28 +812,35 @@ function sortPlayers() {
         } else if (currentSort.column === 'total') {
             valueA = a.totalWins;
             valueB = b.totalWins;
+        } else if (currentSort.column === 'points') {
+            valueA = a.points;
+            valueB = b.points;
         } else if (currentSort.column === 'rank') {
-            // Rank sorting: sort by total wins (descending by default)
-            valueA = a.totalWins;
-            valueB = b.totalWins;
+            // Rank sorting: best rank first when descending (the default)
+            valueA = -a.rank;
+            valueB = -b.rank;
+        } else if (currentSort.column.startsWith('type-')) {
+            // Subtotal of a type (championships, competitions)
+            const type = currentSort.column.slice('type-'.length);
+            valueA = a.typeWins[type] || 0;
+            valueB = b.typeWins[type] || 0;
         } else {
             // Category-specific sorting
-            const categoryKey = Object.keys(CATEGORY_MAP).find(
-                key => CATEGORY_MAP[key] === currentSort.column
-            );
-            valueA = a.wins[categoryKey] || 0;
-            valueB = b.wins[categoryKey] || 0;
+            const category = categories.find(c => c.column === currentSort.column);
+            valueA = category ? a.wins[category.key] || 0 : 0;
+            valueB = category ? b.wins[category.key] || 0 : 0;
         }
         
         // Compare values
         let comparison = 0;
         if (typeof valueA === 'string') {
-            comparison = valueA.localeCompare(valueB, 'nl');
+            comparison = valueA.localeCompare(valueB, getLocale());
         } else {
             comparison = valueA - valueB;
         }
         
-        // Apply sort direction
+        // Apply sort direction; ties follow the standing
+        if (comparison === 0) return a.rank - b.rank;
         return currentSort.direction === 'asc' ? comparison : -comparison;
     });
 }
@@ -216,6 +854,7 @@ function updateSortIndicators() {
         icon.classList.remove('active');
         icon.textContent = '';
     });
+    document.querySelectorAll('.sortable[aria-sort]').forEach(th => th.removeAttribute('aria-sort'));
     
     // Set active indicator
     const activeTh = document.querySelector(`[data-sort="${currentSort.column}"]`);
@@ -228,6 +867,155 @@ function updateSortIndicators() {
         
         activeTh.setAttribute('aria-sort', currentSort.direction === 'desc' ? 'descending' : 'ascending');
     }
+    
+    updateCardSortBar();
+}
+
+/**
+ * Set the column labels, tooltips and sort labels of the table header in the current language
+ */
+function translateTableHeaders() {
+    const columns = {
+        name: { label: t('table.name') },
+        total: { label: t('table.total') },
+        points: { label: t('table.points'), title: t('table.pointsTitle') }
+    };
+    getSubtotalTypes().forEach(type => {
+        columns[`type-${type.key}`] = {
+            label: `${type.icon} ${localize(type.shortLabel)}`,
+            title: t('table.subtotalTitle', { type: localize(type.label) })
+        };
+    });
+    categories.forEach(category => {
+        columns[category.column] = {
+            label: getCategoryShortLabel(category.key),
+            title: getCategoryLabel(category.key)
+        };
+    });
+    
+    document.querySelectorAll('.sortable').forEach(th => {
+        const column = columns[th.dataset.sort];
+        const button = th.querySelector('.sort-button');
+        const label = th.querySelector('.sort-label');
+        
+        if (column) {
+            label.textContent = column.label;
+            if (column.title) th.title = column.title;
+        }
+        
+        const sortName = column ? (column.title || column.label) : t('table.rank');
+        button.setAttribute('aria-label', t('table.sortBy', { column: sortName.toLowerCase() }));
+    });
+    
+    renderCardSortOptions();
+}
+
+/**
+ * Add the sortable header columns after the fixed rank, name, total and points columns:
+ * a subtotal per type (when more than one type is shown), then one per visible category
+ */
+function renderCategoryHeaders() {
+    const headerRow = document.querySelector('#hallOfFameTable thead tr');
+    if (!headerRow) return;
+    
+    headerRow.querySelectorAll('[data-category], [data-type]').forEach(th => th.remove());
+    
+    const createHeader = sortKey => {
+        const th = createElement('th', 'sortable tooltip');
+        th.dataset.sort = sortKey;
+        
+        const button = createElement('button', 'sort-button');
+        button.type = 'button';
+        button.appendChild(createElement('span', 'sort-label'));
+        button.appendChild(document.createTextNode(' '));
+        button.appendChild(createElement('span', 'sort-icon'));
+        th.appendChild(button);
+        
+        th.addEventListener('click', handleSort);
+        headerRow.appendChild(th);
+        return th;
+    };
+    
+    getSubtotalTypes().forEach(type => {
+        createHeader(`type-${type.key}`).dataset.type = type.key;
+    });
+    getVisibleCategories().forEach(category => {
+        createHeader(category.column).dataset.category = category.key;
+    });
+    
+    translateTableHeaders();
+    updateSortIndicators();
+}
+
+/**
+ * Fill the type selector (all titles, championships, competitions) and the column menu
+ * The column menu lists the categories of the selected type
+ */
+function renderCategoryControls() {
+    const typeSelect = document.getElementById('typeSelect');
+    if (typeSelect && hallOfFameData) {
+        typeSelect.textContent = '';
+        const allOption = createElement('option', null, t('filters.typeAll'));
+        allOption.value = '';
+        typeSelect.appendChild(allOption);
+        
+        (hallOfFameData.types || []).forEach(type => {
+            const option = createElement('option', null, `${type.icon} ${localize(type.label)}`);
+            option.value = type.key;
+            typeSelect.appendChild(option);
+        });
+        typeSelect.value = currentType;
+    }
+    
+    const columnOptions = document.getElementById('columnOptions');
+    if (columnOptions) {
+        columnOptions.textContent = '';
+        categories
+            .filter(category => !currentType || category.type === currentType)
+            .forEach(category => {
+                const label = createElement('label', 'column-option');
+                const checkbox = createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.value = category.key;
+                checkbox.checked = !hiddenCategories.includes(category.key);
+                label.appendChild(checkbox);
+                label.appendChild(document.createTextNode(` ${category.icon} ${localize(category.label)}`));
+                columnOptions.appendChild(label);
+            });
+    }
+}
+
+/**
+ * Render the legend: one item per category type and per category
+ */
+function renderLegend() {
+    const grid = document.getElementById('legendGrid');
+    if (!grid) return;
+    
+    grid.textContent = '';
+    
+    const items = [
+        ...(hallOfFameData.types || []).map(type => [type.icon, localize(type.label)]),
+        ...categories.map(category => [
+            localize(category.shortLabel),
+            `${localize(category.label)} (${t('legend.points', { count: category.points === undefined ? 1 : category.points })})`
+        ])
+    ];
+    
+    // Points scheme: how much a title in a lower poule is worth
+    const pouleWeights = Object.entries(getPouleWeights());
+    if (pouleWeights.length > 0) {
+        const weights = pouleWeights.map(([poule, weight]) => `${poule} ×${formatNumber(weight)}`).join(', ');
+        items.push(['⚖️', t('legend.pouleWeights', { weights })]);
+    }
+    items.push(['▲▼', t('legend.rankChange')]);
+    
+    items.forEach(([icon, text]) => {
+        const item = createElement('div', 'legend-item');
+        item.appendChild(createElement('span', 'legend-icon', icon));
+        item.appendChild(createElement('span', 'legend-text', text));
+        grid.appendChild(item);
+    });
 }
 
 /**
@@ -243,43 +1031,53 @@ function renderTable() {
     if (filteredPlayers.length === 0) {
         const row = document.createElement('tr');
         const cell = document.createElement('td');
-        cell.colSpan = 10;
+        cell.colSpan = getTableColumnCount();
         cell.className = 'text-center';
-        cell.textContent = 'Geen resultaten gevonden. Pas de filters aan.';
+        cell.textContent = t('table.noResults');
         row.appendChild(cell);
         tbody.appendChild(row);
+        renderPlayerCards();
         updateResultsCount(0);
         return;
     }
     
     // Render each player
-    filteredPlayers.forEach((player, index) => {
-        const row = createPlayerRow(player, index + 1);
+    filteredPlayers.forEach(player => {
+        const row = createPlayerRow(player);
         tbody.appendChild(row);
     });
     
+    // Card layout for phones
+    renderPlayerCards();
+    
     updateResultsCount(filteredPlayers.length);
 }
 
 /**
  * Create a table row for a player
  */
-function createPlayerRow(player, rank) {
+function createPlayerRow(player) {
     const row = document.createElement('tr');
     
     // Highlight top 3
-    if (rank <= 3 && currentSort.column === 'total' && currentSort.direction === 'desc') {
+    if (isTopThree(player)) {
         row.classList.add('highlight');
     }
     
-    // Rank
+    // Rank, with the movement since the previous season
     const rankCell = document.createElement('td');
-    rankCell.textContent = rank;
+    rankCell.textContent = getShownRank(player).rank;
+    const rankChange = createRankChange(player);
+    if (rankChange) rankCell.appendChild(rankChange);
     row.appendChild(rankCell);
     
-    // Name
+    // Name (links to the player detail view)
     const nameCell = document.createElement('td');
-    nameCell.textContent = player.displayName;
+    const nameLink = document.createElement('a');
+    nameLink.href = `#/speler/${slugify(player.displayName)}`;
+    nameLink.className = 'player-link';
+    nameLink.textContent = player.displayName;
+    nameCell.appendChild(nameLink);
     row.appendChild(nameCell);
     
     // Total wins
@@ -287,8 +1085,17 @@ function createPlayerRow(player, rank) {
     totalCell.textContent = player.totalWins;
     row.appendChild(totalCell);
     
+    // Weighted points
+    const pointsCell = createElement('td', 'points-cell', formatNumber(player.points));
+    row.appendChild(pointsCell);
+    
+    // Subtotals per type
+    getSubtotalTypes().forEach(type => {
+        row.appendChild(createElement('td', 'subtotal-cell', String(player.typeWins[type.key] || 0)));
+    });
+    
     // Individual categories
-    Object.keys(CATEGORY_MAP).forEach(categoryKey => {
+    getVisibleCategoryKeys().forEach(categoryKey => {
         const cell = document.createElement('td');
         const wins = player.wins[categoryKey] || 0;
         
@@ -305,6 +1112,42 @@ function createPlayerRow(player, rank) {
     return row;
 }
 
+/**
+ * Create the rank movement indicator of a player (▲2, ▼1, – or "nieuw")
+ * Returns null when there is no previous season in the selection
+ */
+function createRankChange(player) {
+    if (!previousSeason) return null;
+    
+    const { rankChange } = getShownRank(player);
+    const year = String(previousSeason);
+    let indicator;
+    
+    if (rankChange === null) {
+        indicator = createElement('span', 'rank-change new', t('table.rankNew'));
+        indicator.title = t('table.rankNewTitle', { year });
+    } else if (rankChange > 0) {
+        indicator = createElement('span', 'rank-change up', `▲${rankChange}`);
+        indicator.title = t('table.rankUp', { count: rankChange, year });
+    } else if (rankChange < 0) {
+        indicator = createElement('span', 'rank-change down', `▼${-rankChange}`);
+        indicator.title = t('table.rankDown', { count: -rankChange, year });
+    } else {
+        indicator = createElement('span', 'rank-change same', '–');
+        indicator.title = t('table.rankSame', { year });
+    }
+    
+    indicator.setAttribute('aria-label', indicator.title);
+    return indicator;
+}
+
+/**
+ * Number of columns in the hall of fame table (rank, name, total, points, subtotals and categories)
+ */
+function getTableColumnCount() {
+    return 4 + getSubtotalTypes().length + getVisibleCategories().length;
+}
+
 /**
  * Update statistics summary
  */
@@ -312,28 +1155,35 @@ function updateStats() {
     // Total players
     const totalPlayersEl = document.getElementById('totalPlayers');
     if (totalPlayersEl) {
-        totalPlayersEl.textContent = filteredPlayers.length;
+        totalPlayersEl.textContent = formatNumber(filteredPlayers.length);
     }
     
     // Total wins
     const totalWinsEl = document.getElementById('totalWins');
     if (totalWinsEl && hallOfFameData) {
-        const totalWins = hallOfFameData.allResults.length;
-        totalWinsEl.textContent = totalWins;
+        const totalWins = getActiveResults().length;
+        totalWinsEl.textContent = formatNumber(totalWins);
     }
     
-    // Top player
+    // Top player, by points when the table is sorted by points
     const topPlayerEl = document.getElementById('topPlayer');
-    if (topPlayerEl && allPlayers.length > 0) {
-        const topPlayer = allPlayers[0];
-        topPlayerEl.textContent = `${topPlayer.displayName} (${topPlayer.totalWins})`;
+    if (topPlayerEl) {
+        const byPoints = currentSort.column === 'points';
+        const value = player => (byPoints ? player.points : player.totalWins);
+        const topPlayer = allPlayers.reduce((top, player) => (!top || value(player) > value(top) ? player : top), null);
+        topPlayerEl.textContent = topPlayer ? `${topPlayer.displayName} (${formatNumber(value(topPlayer))})` : '-';
+        
+        const topPlayerLabel = document.getElementById('topPlayerLabel');
+        if (topPlayerLabel) {
+            topPlayerLabel.textContent = t(byPoints ? 'stats.topPoints' : 'stats.topPlayer');
+        }
     }
     
     // Last updated
     const lastUpdatedEl = document.getElementById('lastUpdated');
     if (lastUpdatedEl && hallOfFameData) {
         const date = new Date(hallOfFameData.lastUpdated);
-        lastUpdatedEl.textContent = `Laatst bijgewerkt: ${formatDate(date)}`;
+        lastUpdatedEl.textContent = t('table.lastUpdated', { date: formatDate(date) });
     }
 }
 
@@ -345,15 +1195,15 @@ function updateResultsCount(count) {
     if (resultsCountEl) {
         const total = allPlayers.length;
         if (count === total) {
-            resultsCountEl.textContent = `${count} speler${count !== 1 ? 's' : ''}`;
+            resultsCountEl.textContent = t('table.players', { count });
         } else {
-            resultsCountEl.textContent = `${count} van ${total} speler${count !== 1 ? 's' : ''}`;
+            resultsCountEl.textContent = t('table.playersOf', { count, total });
         }
     }
 }
 
 /**
- * Format date for display
+ * Format date for display in the current language
  */
 function formatDate(date) {
     const options = {
@@ -363,7 +1213,7 @@ function formatDate(date) {
         hour: '2-digit',
         minute: '2-digit'
     };
-    return date.toLocaleDateString('nl-NL', options);
+    return date.toLocaleDateString(getLocale(), options);
 }
 
 /**
@@ -379,7 +1229,7 @@ function showError(message) {
         const row = document.createElement('tr');
         const cell = document.createElement('td');
         
-        cell.colSpan = 10;
+        cell.colSpan = getTableColumnCount();
         cell.className = 'text-center';
         cell.style.color = 'var(--color-warning)';
         cell.style.padding = 'var(--spacing-xl)';
@@ -408,6 +1258,119 @@ function toggleTheme() {
     localStorage.setItem('theme', newTheme);
 }
 
+/**
+ * Offline Support
+ * The service worker (sw.js) caches the site and the data file, so results can be looked up
+ * without a connection. It tells the page when newer data has been fetched in the background.
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    navigator.serviceWorker.register('sw.js').catch(error => {
+        console.error('Error registering service worker:', error);
+    });
+    
+    navigator.serviceWorker.addEventListener('message', event => {
+        const message = event.data || {};
+        if (message.type !== 'data-updated' || !hallOfFameData) return;
+        
+        if (new Date(message.lastUpdated) > new Date(hallOfFameData.lastUpdated)) {
+            newerDataAvailable = true;
+            updateStatusNotice();
+        }
+    });
+}
+
+/**
+ * Show the date of the data when it comes from the cache or the device is offline,
+ * or offer a reload when newer data is available
+ */
+function updateStatusNotice() {
+    const notice = document.getElementById('statusNotice');
+    const text = document.getElementById('statusNoticeText');
+    const reloadButton = document.getElementById('statusNoticeReload');
+    if (!notice || !text || !hallOfFameData) return;
+    
+    const offline = dataFromCache || !navigator.onLine;
+    
+    if (newerDataAvailable) {
+        text.textContent = t('offline.updateAvailable');
+    } else if (offline) {
+        text.textContent = t('offline.notice', { date: formatDate(new Date(hallOfFameData.lastUpdated)) });
+    }
+    
+    notice.classList.toggle('hidden', !newerDataAvailable && !offline);
+    if (reloadButton) {
+        reloadButton.classList.toggle('hidden', !newerDataAvailable);
+    }
+}
+
+/**
+ * Language Management
+ * Switches between Dutch and English and re-renders everything built by JavaScript
+ */
+function toggleLanguage() {
+    setLanguage(currentLanguage === 'nl' ? 'en' : 'nl');
+    translateTableHeaders();
+    
+    if (hallOfFameData) {
+        renderLegend();
+        renderCategoryControls();
+        updateStatusNotice();
+        applyFilters();
+        renderPartnerships();
+        handleRoute();
+    }
+}
+
+/**
+ * Utility: Create an element with an optional class name and text content
+ */
+function createElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    if (className) {
+        element.className = className;
+    }
+    if (text !== undefined) {
+        element.textContent = text;
+    }
+    return element;
+}
+
+/**
+ * Utility: Append links to player detail views, separated by the given text
+ */
+function appendPlayerLinks(parent, names, separator) {
+    names.forEach((name, index) => {
+        if (index > 0) parent.appendChild(document.createTextNode(separator));
+        const link = createElement('a', 'player-link', name);
+        link.href = `#/speler/${slugify(name)}`;
+        parent.appendChild(link);
+    });
+}
+
+/**
+ * Utility: Normalize a name for matching (case and accent insensitive)
+ * Must give the same key as normalizeName in scripts/extract-data.js (see test/main.test.js)
+ */
+function normalizeName(name) {
+    return name
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim()
+        .replace(/\s+/g, ' ');
+}
+
+/**
+ * Utility: Create a URL-safe slug from a name ("Cédric Brancourt" -> "cedric-brancourt")
+ */
+function slugify(name) {
+    return normalizeName(name)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
 /**
  * Utility: Debounce function
  */
@@ -423,9 +1386,10 @@ function debounce(func, wait) {
     };
 }
 
-// Initialize when DOM is ready
+// Initialize when DOM is ready (embed.html starts the widget from embed.js instead)
+const start = typeof initEmbed === 'function' ? initEmbed : init;
 if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', init);
+    document.addEventListener('DOMContentLoaded', start);
 } else {
-    init();
+    start();
 }
@@ -0,0 +1,106 @@
+/**
+ * Zwijntje Hall of Fame - Partnerships
+ * Renders the most successful teams (pairs and triples) and per-player team-mates
+ */
+
+// Number of teams shown per list in the overview
+const PARTNERSHIPS_LIMIT = 10;
+
+/**
+ * Render the most successful duos and trios in the overview
+ */
+function renderPartnerships() {
+    const section = document.getElementById('partnershipsSection');
+    if (!section) return;
+    
+    const partnerships = (hallOfFameData && hallOfFameData.partnerships) || [];
+    
+    // Older data files have no partnership data
+    section.classList.toggle('hidden', partnerships.length === 0);
+    if (partnerships.length === 0) return;
+    
+    renderPartnershipList(
+        document.getElementById('duoList'),
+        partnerships.filter(partnership => partnership.players.length === 2)
+    );
+    renderPartnershipList(
+        document.getElementById('trioList'),
+        partnerships.filter(partnership => partnership.players.length > 2)
+    );
+}
+
+/**
+ * Render a ranked list of partnerships
+ */
+function renderPartnershipList(list, partnerships) {
+    if (!list) return;
+    
+    list.textContent = '';
+    
+    partnerships.slice(0, PARTNERSHIPS_LIMIT).forEach(partnership => {
+        const item = createElement('li', 'partnership-item');
+        
+        const names = createElement('div', 'partnership-names');
+        appendPlayerLinks(names, partnership.players, ' & ');
+        item.appendChild(names);
+        
+        const firstYear = partnership.years[0];
+        const lastYear = partnership.years[partnership.years.length - 1];
+        const period = firstYear === lastYear ? firstYear : `${firstYear}–${lastYear}`;
+        const categories = Object.keys(partnership.wins)
+            .map(categoryKey => `${getCategoryLabel(categoryKey)} (${partnership.wins[categoryKey]})`)
+            .join(', ');
+        
+        item.appendChild(createElement('div', 'partnership-titles', t('common.titles', { count: partnership.totalWins })));
+        item.appendChild(createElement('div', 'partnership-meta', `${period} · ${categories}`));
+        
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Get the players that won titles together with a player, most frequent first
+ */
+function getTeamMates(results, player) {
+    const playerKey = normalizeName(player.displayName);
+    const teamMates = new Map();
+    
+    results.forEach(result => {
+        result.winners
+            .filter(name => normalizeName(name) !== playerKey)
+            .forEach(name => {
+                const key = normalizeName(name);
+                if (!teamMates.has(key)) {
+                    teamMates.set(key, { name, titles: 0, years: [] });
+                }
+                const teamMate = teamMates.get(key);
+                teamMate.titles++;
+                teamMate.years.push(result.year);
+            });
+    });
+    
+    return Array.from(teamMates.values())
+        .sort((a, b) => b.titles - a.titles || a.name.localeCompare(b.name, getLocale()));
+}
+
+/**
+ * Create the list of most frequent team-mates for the player detail view
+ */
+function createTeamMateList(results, player) {
+    const list = createElement('ol', 'partnership-list teammate-list');
+    
+    getTeamMates(results, player).slice(0, PARTNERSHIPS_LIMIT).forEach(teamMate => {
+        const item = createElement('li', 'partnership-item');
+        
+        const names = createElement('div', 'partnership-names');
+        appendPlayerLinks(names, [teamMate.name], '');
+        item.appendChild(names);
+        
+        item.appendChild(createElement('div', 'partnership-titles', t('partnerships.titlesTogether', { count: teamMate.titles })));
+        item.appendChild(createElement('div', 'partnership-meta', [...new Set(teamMate.years)].join(', ')));
+        
+        list.appendChild(item);
+    });
+    
+    return list;
+}
@@ -0,0 +1,250 @@
+/**
+ * Zwijntje Hall of Fame - Player Detail
+ * Renders the player view (#/speler/<slug>) with every title, streaks and a per-year timeline
+ */
+
+/**
+ * Find a player by the slug used in the URL
+ * Searches all results, so players without titles in the current poule selection are found too
+ */
+function findPlayerBySlug(slug) {
+    for (const result of hallOfFameData.allResults) {
+        const name = result.winners.find(winner => slugify(winner) === slug);
+        if (name) {
+            return { displayName: name };
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the results won by a player, sorted chronologically
+ * Defaults to every result: the player view shows the full history, whatever the filters
+ */
+function getPlayerResults(player, results = hallOfFameData.allResults) {
+    const playerKey = normalizeName(player.displayName);
+    const categoryOrder = getCategoryKeys();
+    
+    return results
+        .filter(result => result.winners.some(name => normalizeName(name) === playerKey))
+        .sort((a, b) => {
+            if (a.year !== b.year) return a.year - b.year;
+            return categoryOrder.indexOf(getCategoryKey(a)) - categoryOrder.indexOf(getCategoryKey(b));
+        });
+}
+
+/**
+ * Get the full label of a result's category, including the poule when it is not Poule A
+ */
+function getResultLabel(result) {
+    const label = getCategoryLabel(getCategoryKey(result));
+    return result.poule && result.poule !== 'A' ? t('common.pouleLabel', { label, poule: result.poule }) : label;
+}
+
+/**
+ * Find the longest run of consecutive years with at least one title
+ * Returns { length, start, end } or null when there are no years
+ */
+function getLongestStreak(years) {
+    const uniqueYears = [...new Set(years)].sort((a, b) => a - b);
+    if (uniqueYears.length === 0) return null;
+    
+    let best = { length: 1, start: uniqueYears[0], end: uniqueYears[0] };
+    let current = { ...best };
+    
+    for (let i = 1; i < uniqueYears.length; i++) {
+        if (uniqueYears[i] === uniqueYears[i - 1] + 1) {
+            current.length++;
+            current.end = uniqueYears[i];
+        } else {
+            current = { length: 1, start: uniqueYears[i], end: uniqueYears[i] };
+        }
+        
+        if (current.length > best.length) {
+            best = { ...current };
+        }
+    }
+    
+    return best;
+}
+
+/**
+ * Render the player detail view
+ */
+function renderPlayerDetail(slug) {
+    const container = document.getElementById('playerDetail');
+    if (!container) return;
+    
+    container.textContent = '';
+    
+    const player = hallOfFameData ? findPlayerBySlug(slug) : null;
+    if (!player) {
+        container.appendChild(createElement('p', 'player-not-found', t('player.notFound')));
+        return;
+    }
+    
+    document.title = t('site.pageTitle', { name: player.displayName });
+    
+    const results = getPlayerResults(player);
+    const years = results.map(result => result.year);
+    
+    // Header
+    const header = createElement('div', 'player-header');
+    header.appendChild(createElement('h2', 'player-name', player.displayName));
+    header.appendChild(createElement('p', 'player-subtitle', t('common.titles', { count: results.length })));
+    
+    const compareLink = createElement('a', 'compare-link', t('player.compare'));
+    compareLink.href = `#/vergelijk/${slug}`;
+    header.appendChild(compareLink);
+    container.appendChild(header);
+    
+    // Summary cards
+    container.appendChild(createPlayerSummary(results, years));
+    
+    // Per-year mini timeline
+    container.appendChild(createElement('h3', 'player-section-title', t('player.timeline')));
+    container.appendChild(createPlayerTimeline(years));
+    
+    // Titles per category
+    container.appendChild(createElement('h3', 'player-section-title', t('player.perCategory')));
+    container.appendChild(createCategoryBreakdown(results));
+    
+    // Most frequent team-mates (team events only)
+    if (results.some(result => result.winners.length > 1)) {
+        container.appendChild(createElement('h3', 'player-section-title', t('player.teamMates')));
+        container.appendChild(createTeamMateList(results, player));
+    }
+    
+    // Chronological list of all titles
+    container.appendChild(createElement('h3', 'player-section-title', t('player.allTitles')));
+    container.appendChild(createTitleList(results, player));
+}
+
+/**
+ * Create the summary cards: total, first and last title, longest streak
+ */
+function createPlayerSummary(results, years) {
+    const summary = createElement('div', 'stats-summary player-summary');
+    const streak = getLongestStreak(years);
+    
+    const cards = [
+        { value: formatNumber(results.length), label: t('player.titles') },
+        { value: years.length ? Math.min(...years) : '-', label: t('player.firstTitle') },
+        { value: years.length ? Math.max(...years) : '-', label: t('player.lastTitle') },
+        {
+            value: streak ? t('player.streak', { count: streak.length }) : '-',
+            label: streak && streak.length > 1
+                ? t('player.longestStreakRange', { from: String(streak.start), to: String(streak.end) })
+                : t('player.longestStreak')
+        }
+    ];
+    
+    cards.forEach(card => {
+        const cardEl = createElement('div', 'stat-card');
+        cardEl.appendChild(createElement('div', 'stat-value', String(card.value)));
+        cardEl.appendChild(createElement('div', 'stat-label', card.label));
+        summary.appendChild(cardEl);
+    });
+    
+    return summary;
+}
+
+/**
+ * Create a mini timeline with one bar per year between the first and last title
+ */
+function createPlayerTimeline(years) {
+    const counts = new Map();
+    years.forEach(year => counts.set(year, (counts.get(year) || 0) + 1));
+    
+    const firstYear = Math.min(...years);
+    const lastYear = Math.max(...years);
+    const maxCount = Math.max(...counts.values());
+    
+    const timeline = createElement('div', 'timeline');
+    timeline.setAttribute('role', 'list');
+    
+    for (let year = firstYear; year <= lastYear; year++) {
+        const count = counts.get(year) || 0;
+        const label = `${year}: ${t('common.titles', { count })}`;
+        
+        const item = createElement('div', count > 0 ? 'timeline-year' : 'timeline-year empty');
+        item.setAttribute('role', 'listitem');
+        item.setAttribute('aria-label', label);
+        item.title = label;
+        
+        const bar = createElement('div', 'timeline-bar');
+        bar.style.height = `${(count / maxCount) * 100}%`;
+        
+        const barWrapper = createElement('div', 'timeline-bar-wrapper');
+        barWrapper.appendChild(bar);
+        item.appendChild(barWrapper);
+        item.appendChild(createElement('span', 'timeline-label', `'${String(year).slice(-2)}`));
+        
+        timeline.appendChild(item);
+    }
+    
+    return timeline;
+}
+
+/**
+ * Create the per-category breakdown with the years each title was won
+ */
+function createCategoryBreakdown(results) {
+    const grid = createElement('div', 'category-breakdown');
+    
+    getCategoryKeys().forEach(categoryKey => {
+        const categoryYears = results
+            .filter(result => getCategoryKey(result) === categoryKey)
+            .map(result => (result.poule && result.poule !== 'A' ? `${result.year} (${result.poule})` : result.year));
+        
+        if (categoryYears.length === 0) return;
+        
+        const card = createElement('div', 'category-card');
+        card.appendChild(createElement('div', 'category-count', String(categoryYears.length)));
+        card.appendChild(createElement('div', 'category-name', getCategoryLabel(categoryKey)));
+        card.appendChild(createElement('div', 'category-years', categoryYears.join(', ')));
+        grid.appendChild(card);
+    });
+    
+    return grid;
+}
+
+/**
+ * Create the chronological title list, including team-mates for team events
+ */
+function createTitleList(results, player) {
+    const playerKey = normalizeName(player.displayName);
+    const table = createElement('table', 'detail-table');
+    
+    const headRow = createElement('tr');
+    [t('common.year'), t('common.category'), t('player.together')].forEach(heading => {
+        const th = createElement('th', null, heading);
+        th.scope = 'col';
+        headRow.appendChild(th);
+    });
+    table.appendChild(createElement('thead')).appendChild(headRow);
+    
+    const tbody = createElement('tbody');
+    results.forEach(result => {
+        const row = createElement('tr');
+        const partners = result.winners.filter(name => normalizeName(name) !== playerKey);
+        
+        const yearCell = createElement('td');
+        const yearLink = createElement('a', null, String(result.year));
+        yearLink.href = `#/seizoen/${result.year}`;
+        yearCell.appendChild(yearLink);
+        row.appendChild(yearCell);
+        const labelCell = createElement('td', null, getResultLabel(result));
+        const note = createResultNote(result);
+        if (note) labelCell.appendChild(note);
+        row.appendChild(labelCell);
+        
+        const partnersCell = createElement('td', partners.length ? null : 'empty', partners.length ? undefined : '-');
+        appendPlayerLinks(partnersCell, partners, ', ');
+        row.appendChild(partnersCell);
+        tbody.appendChild(row);
+    });
+    table.appendChild(tbody);
+    
+    return table;
+}
@@ -0,0 +1,300 @@
+/**
+ * Zwijntje Hall of Fame - Records
+ * Club records and milestones (#/records), computed from the Poule A titles of all years
+ */
+
+// Number of record holders listed per record
+const RECORD_LIST_LENGTH = 5;
+
+// Title counts that mark a milestone
+const MILESTONES = [10, 25, 50];
+
+/**
+ * Render the records view
+ */
+function renderRecords() {
+    const grid = document.getElementById('recordsGrid');
+    if (!grid) return;
+    
+    grid.textContent = '';
+    document.title = t('site.pageTitle', { name: t('records.title') });
+    
+    if (!hallOfFameData) return;
+    
+    const results = hallOfFameData.allResults
+        .filter(result => (result.poule || 'A') === 'A')
+        .sort((a, b) => a.year - b.year);
+    const players = groupResultsByPlayer(results);
+    
+    const records = [
+        { title: t('records.streak'), description: t('records.streakDescription'), entries: getStreakRecords(players) },
+        { title: t('records.season'), description: t('records.seasonDescription'), entries: getSeasonRecords(players) },
+        { title: t('records.gap'), description: t('records.gapDescription'), entries: getGapRecords(players) },
+        { title: t('records.champions'), description: t('records.championsDescription'), entries: getChampionCountRecords(results) }
+    ];
+    
+    records.push({
+        title: t('records.grandSlamAll'),
+        description: t('records.grandSlamAllDescription'),
+        entries: getGrandSlamRecords(players, null)
+    });
+    (hallOfFameData.types || []).forEach(type => {
+        records.push({
+            title: t('records.grandSlam', { type: localize(type.label) }),
+            description: t('records.grandSlamDescription'),
+            entries: getGrandSlamRecords(players, type.key)
+        });
+    });
+    
+    MILESTONES.forEach(milestone => {
+        const entries = getMilestoneRecords(players, milestone);
+        if (entries.length === 0) return;
+        
+        records.push({
+            title: t('records.milestone', { count: milestone }),
+            description: t('records.milestoneDescription', { count: milestone }),
+            entries
+        });
+    });
+    
+    records.forEach(record => grid.appendChild(createRecordCard(record)));
+}
+
+/**
+ * Group results by player (case and accent insensitive), keeping them in chronological order
+ */
+function groupResultsByPlayer(results) {
+    const players = new Map();
+    
+    results.forEach(result => {
+        result.winners.forEach(name => {
+            const key = normalizeName(name);
+            if (!players.has(key)) {
+                players.set(key, { displayName: name, results: [] });
+            }
+            players.get(key).results.push(result);
+        });
+    });
+    
+    return Array.from(players.values());
+}
+
+/**
+ * Longest run of consecutive years winning the same category, per player and category
+ */
+function getStreakRecords(players) {
+    const entries = [];
+    
+    players.forEach(player => {
+        getCategoryKeys().forEach(categoryKey => {
+            const categoryResults = player.results.filter(result => getCategoryKey(result) === categoryKey);
+            const streak = getLongestStreak(categoryResults.map(result => result.year));
+            if (!streak || streak.length < 2) return;
+            
+            entries.push({
+                names: [player.displayName],
+                results: categoryResults.filter(result => result.year >= streak.start && result.year <= streak.end),
+                count: streak.length,
+                year: streak.start,
+                value: t('records.years', { count: streak.length }),
+                detail: `${getCategoryLabel(categoryKey)} (${streak.start}–${streak.end})`
+            });
+        });
+    });
+    
+    return getTopRecords(entries);
+}
+
+/**
+ * Most titles in a single season, per player (their best season)
+ */
+function getSeasonRecords(players) {
+    const entries = [];
+    
+    players.forEach(player => {
+        const counts = new Map();
+        player.results.forEach(result => counts.set(result.year, (counts.get(result.year) || 0) + 1));
+        
+        let best = null;
+        counts.forEach((count, year) => {
+            if (!best || count > best.count) best = { count, year };
+        });
+        if (best.count < 2) return;
+        
+        entries.push({
+            names: [player.displayName],
+            results: player.results.filter(result => result.year === best.year),
+            count: best.count,
+            year: best.year,
+            value: t('common.titles', { count: best.count }),
+            detail: String(best.year)
+        });
+    });
+    
+    return getTopRecords(entries);
+}
+
+/**
+ * Longest time between two consecutive titles, per player
+ */
+function getGapRecords(players) {
+    const entries = [];
+    
+    players.forEach(player => {
+        const years = [...new Set(player.results.map(result => result.year))];
+        
+        let best = null;
+        for (let i = 1; i < years.length; i++) {
+            const gap = years[i] - years[i - 1];
+            if (gap > 1 && (!best || gap > best.gap)) {
+                best = { gap, from: years[i - 1], to: years[i] };
+            }
+        }
+        if (!best) return;
+        
+        entries.push({
+            names: [player.displayName],
+            results: player.results.filter(result => result.year === best.from || result.year === best.to),
+            count: best.gap,
+            year: best.from,
+            value: t('records.years', { count: best.gap }),
+            detail: `${best.from}–${best.to}`
+        });
+    });
+    
+    return getTopRecords(entries);
+}
+
+/**
+ * Number of different champions per category, most first
+ */
+function getChampionCountRecords(results) {
+    return getCategoryKeys()
+        .map(categoryKey => {
+            const champions = new Set();
+            results
+                .filter(result => getCategoryKey(result) === categoryKey)
+                .forEach(result => result.winners.forEach(name => champions.add(normalizeName(name))));
+            
+            return {
+                label: getCategoryLabel(categoryKey),
+                count: champions.size,
+                value: t('records.championCount', { count: champions.size })
+            };
+        })
+        .filter(entry => entry.count > 0)
+        .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Players who won every discipline of a type (e.g. all club championships), or of all types when
+ * type is null, in the order they completed the set. Divisions count as one discipline: a
+ * tête-à-tête title in either division will do.
+ */
+function getGrandSlamRecords(players, type) {
+    const inScope = item => !type || item.type === type;
+    const getDiscipline = item => `${item.type}_${item.category}`;
+    const disciplines = new Set(categories.filter(inScope).map(getDiscipline));
+    if (disciplines.size < 2) return [];
+    
+    const entries = [];
+    
+    players.forEach(player => {
+        const won = new Set();
+        const completed = player.results.find(result => {
+            if (inScope(result)) won.add(getDiscipline(result));
+            return won.size === disciplines.size;
+        });
+        if (!completed) return;
+        
+        entries.push({
+            names: [player.displayName],
+            year: completed.year,
+            value: t('records.completed', { year: String(completed.year) })
+        });
+    });
+    
+    return entries.sort((a, b) => a.year - b.year || a.names[0].localeCompare(b.names[0]));
+}
+
+/**
+ * Players who reached a number of titles, with the year of that title, earliest first
+ */
+function getMilestoneRecords(players, milestone) {
+    return players
+        .filter(player => player.results.length >= milestone)
+        .map(player => ({
+            names: [player.displayName],
+            year: player.results[milestone - 1].year,
+            value: String(player.results[milestone - 1].year)
+        }))
+        .sort((a, b) => a.year - b.year || a.names[0].localeCompare(b.names[0]));
+}
+
+/**
+ * Key of the titles behind a record: one title per category, year and poule
+ */
+function getRecordResultsKey(results) {
+    return results
+        .map(result => `${getCategoryKey(result)}|${result.year}|${result.poule || 'A'}`)
+        .sort()
+        .join(',');
+}
+
+/**
+ * Merge team-mates who share a record (the same titles), then keep the best RECORD_LIST_LENGTH
+ * (highest count first; on a tie, whoever set it first). Players who only tie on the count are
+ * listed separately.
+ */
+function getTopRecords(entries) {
+    const merged = new Map();
+    
+    entries.forEach(entry => {
+        const key = `${entry.count}|${getRecordResultsKey(entry.results)}`;
+        if (merged.has(key)) {
+            merged.get(key).names.push(...entry.names);
+        } else {
+            merged.set(key, { ...entry, names: [...entry.names] });
+        }
+    });
+    
+    return Array.from(merged.values())
+        .sort((a, b) => b.count - a.count || a.year - b.year || a.names[0].localeCompare(b.names[0]))
+        .slice(0, RECORD_LIST_LENGTH);
+}
+
+/**
+ * Create the card for a single record
+ */
+function createRecordCard(record) {
+    const card = createElement('div', 'season-card record-card');
+    card.appendChild(createElement('h3', 'season-category', record.title));
+    card.appendChild(createElement('p', 'record-description', record.description));
+    
+    if (record.entries.length === 0) {
+        card.appendChild(createElement('p', 'season-empty', t('records.none')));
+        return card;
+    }
+    
+    const list = createElement('ol', 'record-list');
+    record.entries.forEach(entry => {
+        const item = createElement('li', 'record-entry');
+        
+        const holder = createElement('span', 'record-holder');
+        if (entry.names) {
+            appendPlayerLinks(holder, entry.names, ' & ');
+        } else {
+            holder.textContent = entry.label;
+        }
+        item.appendChild(holder);
+        item.appendChild(createElement('span', 'record-value', entry.value));
+        
+        if (entry.detail) {
+            item.appendChild(createElement('span', 'record-detail', entry.detail));
+        }
+        list.appendChild(item);
+    });
+    card.appendChild(list);
+    
+    return card;
+}
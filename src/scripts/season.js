@@ -0,0 +1,86 @@
+/**
+ * Zwijntje Hall of Fame - Season View
+ * Renders all champions of a single year (#/seizoen/<jaar>) across every category
+ */
+
+/**
+ * Render the season view for a year (defaults to the most recent season)
+ */
+function renderSeason(year) {
+    const grid = document.getElementById('seasonGrid');
+    if (!grid) return;
+    
+    grid.textContent = '';
+    
+    const years = getDataYears();
+    if (years.length === 0) return;
+    
+    const season = years.includes(year) ? year : years[years.length - 1];
+    
+    const title = t('season.title', { year: String(season) });
+    document.title = t('site.pageTitle', { name: title });
+    document.getElementById('seasonTitle').textContent = title;
+    updateSeasonNav(years, season);
+    
+    const seasonResults = hallOfFameData.allResults.filter(result => result.year === season);
+    
+    getCategoryKeys().forEach(categoryKey => {
+        const card = createElement('div', 'season-card');
+        card.appendChild(createElement('h3', 'season-category', getCategoryLabel(categoryKey)));
+        
+        const categoryResults = seasonResults
+            .filter(result => getCategoryKey(result) === categoryKey)
+            .sort((a, b) => (a.poule || 'A').localeCompare(b.poule || 'A'));
+        
+        if (categoryResults.length === 0) {
+            card.appendChild(createElement('p', 'season-empty', t('season.noChampion')));
+        }
+        
+        categoryResults.forEach(result => {
+            const poule = result.poule || 'A';
+            const line = createElement('p', poule === 'A' ? 'season-winners' : 'season-winners lower-poule');
+            
+            if (poule !== 'A') {
+                line.appendChild(createElement('span', 'season-poule', t('season.poule', { poule })));
+            }
+            appendPlayerLinks(line, result.winners, ', ');
+            
+            const note = createResultNote(result);
+            if (note) line.appendChild(note);
+            card.appendChild(line);
+        });
+        
+        grid.appendChild(card);
+    });
+}
+
+/**
+ * Update the season selector and the previous/next links
+ */
+function updateSeasonNav(years, season) {
+    const select = document.getElementById('seasonSelect');
+    if (select) {
+        if (select.options.length !== years.length) {
+            select.textContent = '';
+            [...years].reverse().forEach(year => {
+                const option = createElement('option', null, String(year));
+                option.value = year;
+                select.appendChild(option);
+            });
+        }
+        select.value = season;
+    }
+    
+    const index = years.indexOf(season);
+    const prevLink = document.getElementById('seasonPrev');
+    const nextLink = document.getElementById('seasonNext');
+    
+    if (prevLink) {
+        prevLink.classList.toggle('hidden', index <= 0);
+        prevLink.href = `#/seizoen/${years[index - 1]}`;
+    }
+    if (nextLink) {
+        nextLink.classList.toggle('hidden', index >= years.length - 1);
+        nextLink.href = `#/seizoen/${years[index + 1]}`;
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * Zwijntje Hall of Fame - Widget loader
+ * Script for other sites: turns every element with the class "zwijntje-halloffame" into a framed
+ * embed.html and keeps the frame as high as its content. The data attributes of the element are
+ * passed on as options, e.g.
+ *   <div class="zwijntje-halloffame" data-weergave="categorie" data-categorie="comp-zomer" data-aantal="5"></div>
+ *   <script src="https://<site>/scripts/widget.js" async></script>
+ * Runs on the host page, so it keeps all of its state out of the global scope.
+ */
+(function () {
+    const script = document.currentScript;
+    const embedUrl = new URL('../embed.html', script ? script.src : window.location.href);
+    const OPTIONS = ['weergave', 'aantal', 'categorie', 'jaar', 'poule', 'taal', 'thema', 'kleur'];
+    const RESIZE_MESSAGE = 'zwijntje-halloffame:resize';
+    const frames = [];
+    
+    /**
+     * Replace the content of a placeholder element with the widget frame
+     */
+    function createFrame(element) {
+        const url = new URL(embedUrl);
+        OPTIONS.forEach(option => {
+            const value = element.dataset[option];
+            if (value) url.searchParams.set(option, value);
+        });
+        
+        const frame = document.createElement('iframe');
+        frame.src = url.href;
+        frame.title = element.dataset.titel || "Eregalerij JBV 't Zwijntje";
+        frame.loading = 'lazy';
+        frame.style.width = '100%';
+        frame.style.height = '400px';
+        frame.style.border = '0';
+        
+        element.textContent = '';
+        element.appendChild(frame);
+        frames.push(frame);
+    }
+    
+    /**
+     * Resize a frame to the height reported by embed.js
+     */
+    function handleMessage(event) {
+        if (event.origin !== embedUrl.origin) return;
+        if (!event.data || event.data.type !== RESIZE_MESSAGE) return;
+        
+        const frame = frames.find(f => f.contentWindow === event.source);
+        const height = parseInt(event.data.height);
+        if (frame && height > 0) {
+            frame.style.height = `${height}px`;
+        }
+    }
+    
+    /**
+     * Set up all placeholders on the page
+     */
+    function start() {
+        document.querySelectorAll('.zwijntje-halloffame').forEach(createFrame);
+    }
+    
+    window.addEventListener('message', handleMessage);
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', start);
+    } else {
+        start();
+    }
+})();
@@ -0,0 +1,152 @@
+/**
+ * Zwijntje Hall of Fame - Service Worker
+ * Keeps the site usable without a (good) connection, e.g. on the club terrain:
+ * - The page, stylesheet and scripts are pre-cached and served from the cache, and refreshed
+ *   in the background (stale-while-revalidate)
+ * - halloffame.json is fetched from the network first; when that fails or takes too long the
+ *   cached copy is served with an X-Served-From: cache header, so the page can show its date.
+ *   A network response that arrives later still updates the cache, and open pages are told
+ *   when it has a newer lastUpdated.
+ *
+ * Bump CACHE_VERSION when files are added to or removed from PRECACHE_URLS.
+ */
+
+const CACHE_VERSION = 3;
+const SHELL_CACHE = `halloffame-shell-v${CACHE_VERSION}`;
+const DATA_CACHE = 'halloffame-data';
+const DATA_URL = 'data/halloffame.json';
+
+// Wait this long for fresh data before falling back to the cached copy
+const DATA_TIMEOUT = 4000;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'images/icon.svg',
+    'styles/main.css',
+    'scripts/i18n.js',
+    'scripts/player.js',
+    'scripts/partnerships.js',
+    'scripts/season.js',
+    'scripts/charts.js',
+    'scripts/compare.js',
+    'scripts/records.js',
+    'scripts/export.js',
+    'scripts/cards.js',
+    'scripts/main.js'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(PRECACHE_URLS);
+        
+        // The data is optional at install time: a failed fetch is retried on the next page load
+        try {
+            await updateDataCache(await fetch(DATA_URL, { cache: 'no-cache' }));
+        } catch (error) {
+            console.warn('Data not cached during install:', error);
+        }
+        
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil((async () => {
+        const keys = await caches.keys();
+        await Promise.all(keys
+            .filter(key => key.startsWith('halloffame-shell-') && key !== SHELL_CACHE)
+            .map(key => caches.delete(key)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+    
+    if (url.pathname === new URL(DATA_URL, self.registration.scope).pathname) {
+        event.respondWith(handleDataRequest(event));
+    } else if (request.mode === 'navigate' && url.pathname === new URL('./', self.registration.scope).pathname) {
+        // Query string (filters) and hash do not change the page itself
+        event.respondWith(handleShellRequest(event, 'index.html'));
+    } else if (PRECACHE_URLS.some(path => new URL(path, self.registration.scope).href === url.href)) {
+        event.respondWith(handleShellRequest(event, request));
+    }
+});
+
+/**
+ * Serve a shell file from the cache and refresh it in the background
+ */
+async function handleShellRequest(event, cacheKey) {
+    const shell = await caches.open(SHELL_CACHE);
+    const cached = await shell.match(cacheKey, { ignoreSearch: true });
+    
+    const refresh = fetch(event.request).then(response => {
+        if (response.ok) {
+            return shell.put(cacheKey, response.clone()).then(() => response);
+        }
+        return response;
+    });
+    
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+/**
+ * Serve the data from the network, or from the cache when the network fails or is too slow
+ */
+async function handleDataRequest(event) {
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(DATA_URL);
+    
+    const network = fetch(event.request, { cache: 'no-cache' }).then(async response => {
+        if (response.ok) {
+            await updateDataCache(response.clone());
+        }
+        return response;
+    });
+    
+    if (!cached) {
+        return network;
+    }
+    
+    event.waitUntil(network.catch(() => {}));
+    
+    const timeout = new Promise(resolve => setTimeout(resolve, DATA_TIMEOUT, null));
+    const response = await Promise.race([network.catch(() => null), timeout]);
+    if (response && response.ok) {
+        return response;
+    }
+    
+    const headers = new Headers(cached.headers);
+    headers.set('X-Served-From', 'cache');
+    return new Response(cached.body, { status: cached.status, statusText: cached.statusText, headers });
+}
+
+/**
+ * Store a fresh copy of the data; tell open pages when it is newer than the cached one
+ */
+async function updateDataCache(response) {
+    if (!response.ok) return;
+    
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(DATA_URL);
+    const previousDate = cached ? (await cached.json()).lastUpdated : null;
+    const { lastUpdated } = await response.clone().json();
+    
+    await cache.put(DATA_URL, response);
+    
+    if (previousDate && new Date(lastUpdated) > new Date(previousDate)) {
+        const clients = await self.clients.matchAll({ type: 'window' });
+        clients.forEach(client => client.postMessage({ type: 'data-updated', lastUpdated }));
+    }
+}
@@ -0,0 +1,74 @@
+/**
+ * Tests for the framing headers of the widget in scripts/embed-headers.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  EMBED_ORIGINS_PATH,
+  STATIC_WEB_APP_CONFIG_PATH,
+  loadAllowedOrigins,
+  buildEmbedHeaders,
+  applyEmbedHeaders
+} = require('../scripts/embed-headers');
+
+/**
+ * Write an origins file to a temporary directory and load it
+ */
+function loadOrigins(allowedOrigins) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'embed-origins-'));
+  const file = path.join(dir, 'embed-origins.json');
+  fs.writeFileSync(file, JSON.stringify({ allowedOrigins }));
+  try {
+    return loadAllowedOrigins(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+describe('loadAllowedOrigins', () => {
+  it('accepts https origins', () => {
+    assert.deepEqual(loadOrigins(['https://www.zwijntje.nl']), ['https://www.zwijntje.nl']);
+  });
+  
+  it('rejects paths, other schemes and invalid URLs', () => {
+    assert.throws(() => loadOrigins(['https://www.zwijntje.nl/eregalerij']), /Invalid origin/);
+    assert.throws(() => loadOrigins(['http://www.zwijntje.nl']), /Invalid origin/);
+    assert.throws(() => loadOrigins(['zwijntje.nl']), /Invalid origin/);
+  });
+});
+
+describe('applyEmbedHeaders', () => {
+  it('allows the origins and removes the global X-Frame-Options on the widget route only', () => {
+    const config = {
+      routes: [
+        { route: '/index.html', headers: { 'cache-control': 'public' } },
+        { route: '/embed.html', headers: { 'cache-control': 'public' } }
+      ],
+      globalHeaders: { 'X-Frame-Options': 'DENY' }
+    };
+    const updated = applyEmbedHeaders(config, ['https://zwijntje.nl']);
+    
+    assert.deepEqual(updated.routes[1].headers, {
+      'cache-control': 'public',
+      'Content-Security-Policy': "frame-ancestors 'self' https://zwijntje.nl",
+      'X-Frame-Options': ''
+    });
+    assert.deepEqual(updated.routes[0], config.routes[0]);
+    assert.equal(updated.globalHeaders['X-Frame-Options'], 'DENY');
+  });
+  
+  it('matches the committed Static Web Apps configuration', () => {
+    const config = JSON.parse(fs.readFileSync(STATIC_WEB_APP_CONFIG_PATH, 'utf8'));
+    const route = config.routes.find(r => r.route === '/embed.html');
+    const expected = buildEmbedHeaders(loadAllowedOrigins(EMBED_ORIGINS_PATH));
+    
+    Object.entries(expected).forEach(([name, value]) => {
+      assert.equal(route.headers[name], value, `${name} is out of date: run npm run embed-headers`);
+    });
+  });
+});
@@ -0,0 +1,681 @@
+/**
+ * Tests for the parser and aggregation functions of scripts/extract-data.js
+ * The fixtures in test/fixtures/ have the same layout and file names as the extractor's HTML snapshots
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  SOURCE_CONFIG,
+  DATA_SOURCES,
+  loadNameAliases,
+  loadSourceConfig,
+  getCategoryDefinitions,
+  getPointsScheme,
+  loadManualResults,
+  applyManualResults,
+  normalizeName,
+  applyNameMapping,
+  extractNames,
+  getSnapshotFileName,
+  processData,
+  buildPlayerStats,
+  slugify,
+  buildApiFiles,
+  compareResults,
+  validateExtraction,
+  suggestAliases
+} = require('../scripts/extract-data');
+const { parseTables } = require('../scripts/html-table');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * Parse the fixture of a data source into results
+ */
+function parseFixture(type, category) {
+  const source = DATA_SOURCES.find(s => s.type === type && s.category === category);
+  const html = fs.readFileSync(path.join(FIXTURES_DIR, getSnapshotFileName(source)), 'utf8');
+  return processData(parseTables(html), source);
+}
+
+/**
+ * Short form of a result for comparisons: "year poule/division: winner, winner"
+ */
+function describeResult(result) {
+  return `${result.year} ${result.division || result.poule}: ${result.winners.join(', ')}`;
+}
+
+describe('normalizeName', () => {
+  it('lowercases, trims and collapses whitespace', () => {
+    assert.equal(normalizeName('  Jan   van den  Bosch '), 'jan van den bosch');
+  });
+  
+  it('strips accents', () => {
+    assert.equal(normalizeName('Cédric Brancourt'), 'cedric brancourt');
+    assert.equal(normalizeName('Ñoño Çàrlös'), 'nono carlos');
+  });
+});
+
+describe('applyNameMapping', () => {
+  it('maps known name variants to the canonical name', () => {
+    assert.equal(applyNameMapping('Jan van de Bosch'), 'Jan van den Bosch');
+    assert.equal(applyNameMapping('Bert Jan Rietveld'), 'Bert-Jan Rietveld');
+  });
+  
+  it('matches variants regardless of case and spacing', () => {
+    assert.equal(applyNameMapping('ROY  DERKSEN'), 'Roy Derks');
+  });
+  
+  it('keeps unknown names as they are', () => {
+    assert.equal(applyNameMapping('Ferdinand Wiese'), 'Ferdinand Wiese');
+  });
+});
+
+describe('loadNameAliases', () => {
+  it('maps every normalized alias to the canonical name', () => {
+    const { mappings, notDuplicates } = loadNameAliases(path.join(__dirname, '..', 'scripts', 'name-aliases.json'));
+    assert.equal(mappings['roy derksen'], 'Roy Derks');
+    assert.equal(mappings['raja anton'], 'Jesurajah Anton');
+    assert.ok(Array.isArray(notDuplicates));
+  });
+  
+  it('rejects an alias used for two players', () => {
+    const filePath = path.join(os.tmpdir(), `name-aliases-${process.pid}.json`);
+    fs.writeFileSync(filePath, JSON.stringify({
+      players: [
+        { name: 'Roy Derks', aliases: ['Roy Derksen'] },
+        { name: 'Roy Derksen-Smit', aliases: ['roy derksen'] }
+      ]
+    }));
+    try {
+      assert.throws(() => loadNameAliases(filePath), /used for both Roy Derks and Roy Derksen-Smit/);
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  });
+});
+
+describe('loadSourceConfig', () => {
+  /**
+   * Write a configuration with one source to a temporary file and load it
+   */
+  function loadSource(source) {
+    const filePath = path.join(os.tmpdir(), `sources-${process.pid}.json`);
+    fs.writeFileSync(filePath, JSON.stringify({ types: SOURCE_CONFIG.types, sources: [source] }));
+    try {
+      return loadSourceConfig(filePath);
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  }
+  
+  const winterCycle = {
+    name: 'Wintercyclus',
+    url: 'https://www.zwijntje.nl/vereniging/eregalerij/clubcompetities/wintercyclus/',
+    type: 'competition',
+    category: 'wintercyclus',
+    columns: ['year', { poule: 'A' }, { poule: 'B' }],
+    winners: 'single',
+    display: {
+      column: 'comp-winter',
+      icon: '❄️',
+      label: { nl: 'Wintercyclus', en: 'Winter Cycle' },
+      shortLabel: { nl: 'Winter', en: 'Winter' }
+    }
+  };
+  
+  it('accepts a new source without code changes', () => {
+    const config = loadSource(winterCycle);
+    assert.deepEqual(getCategoryDefinitions(config), [{
+      key: 'competition_wintercyclus',
+      type: 'competition',
+      category: 'wintercyclus',
+      column: 'comp-winter',
+      icon: '❄️',
+      points: 1,
+      label: { nl: 'Wintercyclus', en: 'Winter Cycle' },
+      shortLabel: { nl: 'Winter', en: 'Winter' }
+    }]);
+  });
+  
+  it('rejects unknown types, poules and missing labels', () => {
+    assert.throws(() => loadSource({ ...winterCycle, type: 'tournament' }), /unknown type "tournament"/);
+    assert.throws(() => loadSource({ ...winterCycle, columns: ['year', { poule: 'D' }] }), /unknown poule "D"/);
+    assert.throws(() => loadSource({ ...winterCycle, columns: [{ poule: 'A' }] }), /must start with "year"/);
+    assert.throws(() => loadSource({ ...winterCycle, display: undefined }), /display labels are missing/);
+    assert.throws(() => loadSource({ ...winterCycle, display: { ...winterCycle.display, points: -1 } }), /points must be a number/);
+  });
+  
+  it('weights titles by category and poule', () => {
+    const scheme = getPointsScheme({ ...loadSource(winterCycle), points: { poules: { B: 0.5 } } });
+    assert.deepEqual(scheme, { categories: { competition_wintercyclus: 1 }, poules: { A: 1, B: 0.5, C: 1 } });
+    
+    const configured = getPointsScheme(SOURCE_CONFIG);
+    assert.ok(configured.categories.championship_tripletten > configured.categories.competition_zomercyclus);
+  });
+  
+  it('gives every category a unique key and column', () => {
+    const definitions = getCategoryDefinitions(SOURCE_CONFIG);
+    assert.equal(new Set(definitions.map(category => category.key)).size, definitions.length);
+    assert.equal(new Set(definitions.map(category => category.column)).size, definitions.length);
+    assert.deepEqual(
+      definitions.filter(category => category.division).map(category => category.key),
+      ['championship_tete-a-tete_heren', 'championship_tete-a-tete_dames']
+    );
+  });
+});
+
+describe('extractNames', () => {
+  it('splits on commas and " en "', () => {
+    assert.deepEqual(extractNames('Vince Exalto, Jan van den Bosch en Fabian Biesheuvel'),
+      ['Vince Exalto', 'Jan van den Bosch', 'Fabian Biesheuvel']);
+  });
+  
+  it('does not split on "en" inside names', () => {
+    assert.deepEqual(extractNames('Fenny van Vemde en Henk Docter'), ['Fenny van Vemde', 'Henk Docter']);
+  });
+  
+  it('returns no names for empty and dash cells', () => {
+    assert.deepEqual(extractNames(''), []);
+    assert.deepEqual(extractNames('   '), []);
+    assert.deepEqual(extractNames('–'), []);
+    assert.deepEqual(extractNames('-'), []);
+    assert.deepEqual(extractNames(undefined), []);
+  });
+  
+  it('skips dashes between names', () => {
+    assert.deepEqual(extractNames('Vince Exalto, –'), ['Vince Exalto']);
+  });
+});
+
+describe('processData', () => {
+  it('has a fixture for every data source', () => {
+    DATA_SOURCES.forEach(source => {
+      assert.ok(fs.existsSync(path.join(FIXTURES_DIR, getSnapshotFileName(source))), source.name);
+    });
+  });
+  
+  it('reads poule tables with both 3 and 4 cells per row', () => {
+    const results = parseFixture('championship', 'doubletten');
+    assert.deepEqual(results.map(describeResult), [
+      '2025 A: Cédric Brancourt, Jan van den Bosch',
+      '2025 B: Gesina Boluijt, Wim Boluijt',
+      '2025 C: Henk Docter, Eva Knoppersen',
+      '2024 A: Cedric Brancourt, Jan van de Bosch',
+      '2024 B: Vince Exalto, Jeroen Brinks',
+      '1998 A: Ferdinand Wiese, Frank Schepers',
+      '1997 A: Frank Schepers, Peter Schipper',
+      '1997 B: Roy Derksen, Bert Jan Rietveld'
+    ]);
+    results.forEach(result => {
+      assert.equal(result.type, 'championship');
+      assert.equal(result.category, 'doubletten');
+    });
+  });
+  
+  it('reads the mix table and skips empty cells', () => {
+    assert.deepEqual(parseFixture('championship', 'mix').map(describeResult), [
+      '2025 A: Eva Knoppersen, Ferdinand Wiese',
+      '2024 A: Chantal Kamphuis, Ferdinand Wiese',
+      '2024 B: Fenny van Vemde, Jeroen Brinks',
+      '2013 A: Gesina Boluijt, Wim Boluijt'
+    ]);
+  });
+  
+  it('splits tête-à-tête into a men and women division', () => {
+    const results = parseFixture('championship', 'tete-a-tete');
+    assert.deepEqual(results.map(describeResult), [
+      '2025 heren: Fabian Biesheuvel',
+      '2025 dames: Gesina Boluijt',
+      '2024 heren: Vince Exalto',
+      '2024 dames: Chantal Brinks-Kamphuis',
+      '1997 heren: Frank Schepers'
+    ]);
+    results.forEach(result => assert.equal(result.poule, 'A'));
+  });
+  
+  it('reads teams of three', () => {
+    assert.deepEqual(parseFixture('championship', 'tripletten').map(describeResult), [
+      '2025 A: Vince Exalto, Jan van den Bosch, Fabian Biesheuvel',
+      '2025 B: Raja Anton, Vikas Arumugan, Henk Docter',
+      '2024 A: Cédric Brancourt, Ferdinand Wiese, Jeroen Brinks',
+      '2024 C: Anette van Velzen, Gesina Boluijt, Wim Boluijt'
+    ]);
+  });
+  
+  it('reads the doubletten competition including reserve players', () => {
+    assert.deepEqual(parseFixture('competition', 'doubletten').map(describeResult), [
+      '2025 A: Fabian Biesheuvel, Jan van den Bosch',
+      '2025 B: Marco van Wageningen, Henk Docter',
+      '2023 A: Cédric Brancourt, Fabian Biesheuvel, Bert-Jan Rietveld',
+      '1996 A: Peter Schipper, Frank Schepers'
+    ]);
+  });
+  
+  it('reads the tripletten competition with teams of four', () => {
+    assert.deepEqual(parseFixture('competition', 'tripletten').map(describeResult), [
+      '2025 A: Vince Exalto, Ferdinand Wiese, Wim Boluijt',
+      '2024 A: Cédric Brancourt, Bert-Jan Rietveld, Fabian Biesheuvel, Jan van den Bosch',
+      '2024 B: Jeroen Brinks, Henk Docter, Eva Knoppersen'
+    ]);
+  });
+  
+  it('reads the zomercyclus and skips years without a winner', () => {
+    assert.deepEqual(parseFixture('competition', 'zomercyclus').map(describeResult), [
+      '2025 A: Vince Exalto',
+      '2022 A: Marco van Wageningen',
+      '2007 A: Cédric Brancourt'
+    ]);
+  });
+  
+  it('follows the column schema of the source', () => {
+    const source = {
+      type: 'competition',
+      category: 'wintercyclus',
+      columns: ['year', { poule: 'A' }, { poule: 'B' }],
+      winners: 'single'
+    };
+    const html = `<table>
+      <tr><td>Jaar</td><td>Poule A</td><td>Poule B</td></tr>
+      <tr><td>2025</td><td>Vince Exalto en Henk Docter</td><td>Eva Knoppersen</td></tr>
+      <tr><td>2024</td><td>&#8211;</td></tr>
+    </table>`;
+    assert.deepEqual(processData(parseTables(html), source).map(describeResult), [
+      '2025 A: Vince Exalto en Henk Docter',
+      '2025 B: Eva Knoppersen'
+    ]);
+  });
+  
+  it('ignores numbers outside the range of valid years', () => {
+    const source = DATA_SOURCES.find(s => s.category === 'zomercyclus');
+    const html = '<table><tr><td>Jaar</td><td>Naam</td></tr><tr><td>1850</td><td>Vince Exalto</td></tr>' +
+      '<tr><td>2024</td><td>Vince Exalto</td></tr></table>';
+    assert.deepEqual(processData(parseTables(html), source).map(describeResult), ['2024 A: Vince Exalto']);
+  });
+  
+  it('identifies columns by their header text', () => {
+    const source = DATA_SOURCES.find(s => s.type === 'championship' && s.category === 'doubletten');
+    const html = `<table>
+      <thead><tr><th>Poule B</th><th>Jaar</th><th>A Poule</th></tr></thead>
+      <tbody><tr><td>Wim Boluijt en Gesina Boluijt</td><td>2025</td><td>Vince Exalto en Jeroen Brinks</td></tr></tbody>
+    </table>`;
+    assert.deepEqual(processData(parseTables(html), source).map(describeResult), [
+      '2025 A: Vince Exalto, Jeroen Brinks',
+      '2025 B: Wim Boluijt, Gesina Boluijt'
+    ]);
+  });
+  
+  it('skips a name cell that holds only a number', () => {
+    const source = DATA_SOURCES.find(s => s.category === 'zomercyclus');
+    const html = '<table><tr><td>Jaar</td><td>Naam</td></tr><tr><td>2024</td><td>2023</td></tr>' +
+      '<tr><td>2023</td><td>Vince Exalto</td></tr></table>';
+    assert.deepEqual(processData(parseTables(html), source).map(describeResult), [
+      '2023 A: Vince Exalto'
+    ]);
+  });
+  
+  it('drops a number among the names of a team', () => {
+    const source = DATA_SOURCES.find(s => s.type === 'championship' && s.category === 'doubletten');
+    const html = '<table><tr><th>Jaar</th><th>Poule A</th></tr>' +
+      '<tr><td>2024</td><td>Peter Schipper, 2</td></tr></table>';
+    assert.deepEqual(processData(parseTables(html), source).map(describeResult), [
+      '2024 A: Peter Schipper'
+    ]);
+  });
+  
+  it('reads every matching table on a page and skips unrelated tables', () => {
+    const source = DATA_SOURCES.find(s => s.category === 'zomercyclus');
+    const html = `
+      <table><tr><th>Datum</th><th>Activiteit</th></tr><tr><td>2025</td><td>Clubdag</td></tr></table>
+      <table><tr><th>Jaar</th><th>Naam</th></tr><tr><td>2025</td><td>Vince Exalto</td></tr></table>
+      <table><tr><th>Jaar</th><th>Naam</th></tr><tr><td>2007</td><td>Cédric Brancourt</td></tr></table>`;
+    assert.deepEqual(processData(parseTables(html), source).map(describeResult), [
+      '2025 A: Vince Exalto',
+      '2007 A: Cédric Brancourt'
+    ]);
+  });
+  
+  it('repeats a winner spanning several years', () => {
+    const source = DATA_SOURCES.find(s => s.type === 'championship' && s.category === 'tete-a-tete');
+    const html = `<table>
+      <tr><th>Jaar</th><th>Heren</th><th>Dames</th></tr>
+      <tr><td>2025</td><td rowspan="2">Fabian Biesheuvel</td><td>Gesina Boluijt</td></tr>
+      <tr><td>2024</td><td>Chantal Brinks-Kamphuis</td></tr>
+    </table>`;
+    assert.deepEqual(processData(parseTables(html), source).map(describeResult), [
+      '2025 heren: Fabian Biesheuvel',
+      '2025 dames: Gesina Boluijt',
+      '2024 heren: Fabian Biesheuvel',
+      '2024 dames: Chantal Brinks-Kamphuis'
+    ]);
+  });
+});
+
+describe('buildPlayerStats', () => {
+  const allResults = DATA_SOURCES.flatMap(source => parseFixture(source.type, source.category));
+  const players = buildPlayerStats(allResults);
+  const findPlayer = name => players.find(player => normalizeName(player.displayName) === normalizeName(name));
+  
+  it('merges name variants and prefers the accented spelling', () => {
+    const cedric = findPlayer('Cedric Brancourt');
+    assert.equal(cedric.displayName, 'Cédric Brancourt');
+    assert.equal(players.filter(player => normalizeName(player.displayName) === 'cedric brancourt').length, 1);
+    
+    assert.equal(findPlayer('Jan van den Bosch').totalWins, 5);
+    assert.equal(findPlayer('Jan van de Bosch'), undefined);
+  });
+  
+  it('applies the name mappings', () => {
+    assert.equal(findPlayer('Chantal Brinks-Kamphuis').wins['championship_mix'], 1);
+    assert.equal(findPlayer('Chantal Kamphuis'), undefined);
+  });
+  
+  it('counts only Poule A towards the totals and keeps all poules in pouleWins', () => {
+    const henk = findPlayer('Henk Docter');
+    assert.equal(henk.totalWins, 0);
+    assert.deepEqual(henk.wins, {});
+    assert.deepEqual(henk.pouleWins, { C: 1, B: 3 });
+    
+    const gesina = findPlayer('Gesina Boluijt');
+    assert.equal(gesina.totalWins, 2);
+    assert.deepEqual(gesina.pouleWins, { B: 1, A: 2, C: 1 });
+  });
+  
+  it('adds the weighted points of the Poule A titles', () => {
+    const scheme = { categories: { championship_doubletten: 3 }, poules: { A: 1, B: 0.5, C: 0.25 } };
+    const title = (category, poule) => ({ year: 2020, type: 'championship', category, poule, winners: ['Ann Smit'] });
+    const [ann] = buildPlayerStats([title('doubletten', 'A'), title('mix', 'A'), title('doubletten', 'B')], scheme);
+    assert.equal(ann.totalWins, 2);
+    assert.equal(ann.points, 4);
+  });
+  
+  it('counts tête-à-tête per division', () => {
+    assert.deepEqual(findPlayer('Fabian Biesheuvel').wins, {
+      'championship_tete-a-tete_heren': 1,
+      championship_tripletten: 1,
+      competition_doubletten: 2,
+      competition_tripletten: 1
+    });
+  });
+  
+  it('sorts by total wins, then by titles in any poule', () => {
+    for (let i = 1; i < players.length; i++) {
+      assert.ok(players[i - 1].totalWins >= players[i].totalWins);
+    }
+    
+    const henkIndex = players.indexOf(findPlayer('Henk Docter'));
+    const rajaIndex = players.indexOf(findPlayer('Jesurajah Anton'));
+    assert.ok(henkIndex < rajaIndex, 'more lower poule titles rank higher at equal totals');
+  });
+});
+
+describe('slugify', () => {
+  it('matches the player links of the site', () => {
+    assert.equal(slugify('Cédric Brancourt'), 'cedric-brancourt');
+    assert.equal(slugify('Chantal Brinks-Kamphuis'), 'chantal-brinks-kamphuis');
+    assert.equal(slugify(' Jan van den Bosch sr. '), 'jan-van-den-bosch-sr');
+  });
+});
+
+describe('buildApiFiles', () => {
+  const allResults = DATA_SOURCES.flatMap(source => parseFixture(source.type, source.category));
+  const data = {
+    lastUpdated: '2025-01-01T00:00:00.000Z',
+    categories: getCategoryDefinitions(SOURCE_CONFIG),
+    players: buildPlayerStats(allResults),
+    allResults
+  };
+  const files = buildApiFiles(data);
+  
+  it('links every file from the index', () => {
+    const index = files.get('index.json');
+    assert.equal(index.version, 1);
+    assert.equal(index.players.length, data.players.length);
+    assert.equal(index.categories.length, data.categories.length);
+    
+    const linked = [...index.players, ...index.years, ...index.categories].map(entry => entry.url);
+    assert.deepEqual(linked.sort(), [...files.keys()].filter(file => file !== 'index.json').sort());
+  });
+  
+  it('lists all titles of a player, newest first', () => {
+    const player = files.get('players/fabian-biesheuvel.json');
+    assert.equal(player.name, 'Fabian Biesheuvel');
+    assert.equal(player.totalWins, 5);
+    assert.equal(player.titles.length, Object.values(player.pouleWins).reduce((sum, count) => sum + count, 0));
+    for (let i = 1; i < player.titles.length; i++) {
+      assert.ok(player.titles[i - 1].year >= player.titles[i].year);
+    }
+    assert.ok(player.titles.some(title => title.category === 'championship_tete-a-tete_heren'));
+  });
+  
+  it('groups the champions per year and per category', () => {
+    const year = files.get(`years/${data.allResults[0].year}.json`);
+    assert.ok(year.titles.every(title => title.year === year.year && title.label.nl));
+    
+    const zomer = files.get('categories/competition_zomercyclus.json');
+    assert.equal(zomer.label.en, 'Summer Cycle');
+    assert.equal(zomer.titles.length, allResults.filter(result => result.category === 'zomercyclus').length);
+  });
+});
+
+describe('compareResults', () => {
+  const source = DATA_SOURCES.find(s => s.type === 'championship' && s.category === 'doubletten');
+  const title = (year, winners, poule = 'A') => ({ year, category: 'doubletten', type: 'championship', poule, winners });
+  const previousData = {
+    players: [{ displayName: 'Cedric Brancourt' }, { displayName: 'Jan van den Bosch' }],
+    allResults: [
+      title(2023, ['Ferdinand Wiese', 'Vince Exalto']),
+      title(2024, ['Cedric Brancourt', 'Jan van den Bosch']),
+      title(2024, ['Vince Exalto', 'Jeroen Brinks'], 'B')
+    ]
+  };
+  
+  it('reports new, removed and changed titles', () => {
+    const allResults = [
+      title(2023, ['Ferdinand Wiese', 'Vince Exalto']),
+      title(2024, ['Cedric Brancourt', 'Jan van den Bosch']),
+      title(2025, ['Cédric Brancourt', 'Jan van den Bosch'])
+    ];
+    const changes = compareResults(previousData, [{ source, count: 3 }], allResults, buildPlayerStats(allResults));
+    
+    assert.deepEqual(changes.added.map(t => `${t.year} ${t.poule}`), ['2025 A']);
+    assert.deepEqual(changes.removed.map(t => `${t.year} ${t.poule}`), ['2024 B']);
+    assert.deepEqual(changes.changed, []);
+    assert.deepEqual(changes.sources, [{
+      name: source.name,
+      category: 'championship_doubletten',
+      previous: 3,
+      current: 3,
+      error: null
+    }]);
+  });
+  
+  it('reports renamed players', () => {
+    const allResults = [
+      title(2023, ['Ferdinand Wiese', 'Vince Exalto']),
+      title(2024, ['Cédric Brancourt', 'Jan van den Bosch']),
+      title(2024, ['Vincent Exalto', 'Jeroen Brinks'], 'B')
+    ];
+    const changes = compareResults(previousData, [{ source, count: 3 }], allResults, buildPlayerStats(allResults));
+    
+    assert.equal(changes.changed.length, 1);
+    assert.deepEqual(changes.changed[0].previousWinners, ['Vince Exalto', 'Jeroen Brinks']);
+    assert.deepEqual(changes.renamed, [
+      { from: 'Cedric Brancourt', to: 'Cédric Brancourt' },
+      { from: 'Vince Exalto', to: 'Vincent Exalto' }
+    ]);
+  });
+  
+  it('does not report suppressed titles as removed', () => {
+    const allResults = previousData.allResults.slice(0, 2);
+    const suppressions = [{ year: 2024, type: 'championship', category: 'doubletten', poule: 'B', note: 'Not played' }];
+    const changes = compareResults(previousData, [{ source, count: 3 }], allResults, buildPlayerStats(allResults), suppressions);
+    
+    assert.deepEqual(changes.removed, []);
+  });
+  
+  it('treats everything as new without a previous data file', () => {
+    const allResults = [title(2025, ['Vince Exalto', 'Jeroen Brinks'])];
+    const changes = compareResults(null, [{ source, count: 1 }], allResults, buildPlayerStats(allResults));
+    
+    assert.equal(changes.added.length, 1);
+    assert.equal(changes.removed.length, 0);
+    assert.equal(changes.sources[0].previous, 0);
+  });
+});
+
+describe('loadManualResults', () => {
+  /**
+   * Write a ledger to a temporary file and load it
+   */
+  function loadLedger(ledger) {
+    const filePath = path.join(os.tmpdir(), `manual-results-${process.pid}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(ledger));
+    try {
+      return loadManualResults(filePath);
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  }
+  
+  const addition = {
+    year: 1994,
+    type: 'championship',
+    category: 'doubletten',
+    winners: ['Frank Schepers', 'Peter Schipper'],
+    note: 'Clubblad juni 1994'
+  };
+  
+  it('reads additions, overrides and suppressions', () => {
+    const ledger = loadLedger({ additions: [addition], suppressions: [{ ...addition, winners: undefined }] });
+    assert.equal(ledger.additions.length, 1);
+    assert.deepEqual(ledger.overrides, []);
+    assert.equal(ledger.suppressions.length, 1);
+  });
+  
+  it('treats a missing file as an empty ledger', () => {
+    assert.deepEqual(loadManualResults(path.join(FIXTURES_DIR, 'missing.json')), {
+      additions: [],
+      overrides: [],
+      suppressions: []
+    });
+  });
+  
+  it('rejects entries without provenance, winners or a known category', () => {
+    assert.throws(() => loadLedger({ additions: [{ ...addition, note: '' }] }), /provenance is required/);
+    assert.throws(() => loadLedger({ overrides: [{ ...addition, winners: [] }] }), /winners are missing/);
+    assert.throws(() => loadLedger({ additions: [{ ...addition, category: 'wintercyclus' }] }), /unknown category/);
+    assert.throws(
+      () => loadLedger({ additions: [{ ...addition, category: 'tete-a-tete', winners: ['Frank Schepers'] }] }),
+      /division must be one of: heren, dames/
+    );
+  });
+});
+
+describe('applyManualResults', () => {
+  const scraped = [
+    { year: 1997, category: 'doubletten', type: 'championship', poule: 'A', winners: ['Frank Schepers', 'Peter Schipper'] },
+    { year: 1997, category: 'doubletten', type: 'championship', poule: 'B', winners: ['Roy Derksen', 'Bert Jan Rietveld'] }
+  ];
+  const entry = (year, poule, winners, note) => ({ year, type: 'championship', category: 'doubletten', poule, winners, note });
+  
+  it('adds, overrides and suppresses titles with their provenance', () => {
+    const { results, warnings } = applyManualResults(scraped, {
+      additions: [entry(1995, 'A', ['Ferdinand Wiese', 'Frank Schepers'], 'Jaarverslag 1995')],
+      overrides: [entry(1997, 'A', ['Frank Schepers', 'Piet Schipper'], 'Uitslagenlijst 1997')],
+      suppressions: [entry(1997, 'B', undefined, 'Poule B niet gespeeld')]
+    });
+    
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(results.map(describeResult), [
+      '1997 A: Frank Schepers, Piet Schipper',
+      '1995 A: Ferdinand Wiese, Frank Schepers'
+    ]);
+    assert.deepEqual(results.map(result => [result.manual, result.note]), [
+      ['override', 'Uitslagenlijst 1997'],
+      ['addition', 'Jaarverslag 1995']
+    ]);
+  });
+  
+  it('warns about entries that no longer match the website', () => {
+    const { results, warnings } = applyManualResults(scraped, {
+      additions: [entry(1997, 'A', ['Frank Schepers', 'Peter Schipper'], 'Clubblad')],
+      overrides: [],
+      suppressions: [entry(1996, 'A', undefined, 'Clubblad')]
+    });
+    
+    assert.equal(results.length, 2);
+    assert.equal(warnings.length, 2);
+    assert.match(warnings[0], /^Suppression 1996 championship_doubletten \(Poule A\): title not found/);
+    assert.match(warnings[1], /^Addition 1997 championship_doubletten \(Poule A\): already published/);
+  });
+});
+
+describe('validateExtraction', () => {
+  const changes = overrides => ({
+    added: [],
+    removed: [],
+    changed: [],
+    renamed: [],
+    sources: [{ name: 'Zomercyclus', category: 'competition_zomercyclus', previous: 2, current: 2, error: null }],
+    ...overrides
+  });
+  
+  it('accepts an extraction without problems', () => {
+    assert.deepEqual(validateExtraction(changes()), []);
+  });
+  
+  it('rejects failed sources and sources without results', () => {
+    const problems = validateExtraction(changes({
+      sources: [
+        { name: 'Mix Kampioenschappen', previous: 12, current: 0, error: 'Request failed with status code 500' },
+        { name: 'Zomercyclus', previous: 19, current: 0, error: null }
+      ]
+    }));
+    assert.deepEqual(problems, [
+      'Mix Kampioenschappen: Request failed with status code 500',
+      'Zomercyclus: no results found'
+    ]);
+  });
+  
+  it('rejects removed historical titles', () => {
+    const problems = validateExtraction(changes({
+      removed: [{ year: 2007, category: 'competition_zomercyclus', poule: 'A', winners: ['Ferdinand Wiese'] }]
+    }));
+    assert.deepEqual(problems, ['1 historical title(s) removed']);
+  });
+});
+
+describe('suggestAliases', () => {
+  const pairs = names => suggestAliases(names, []).map(suggestion => suggestion.names);
+  
+  it('finds the known name variants', () => {
+    const variants = [
+      ['Roy Derks', 'Roy Derksen'],
+      ['Vikas Arumugam', 'Vikas Arumugan'],
+      ['Jan van den Bosch', 'Jan van de Bosch'],
+      ['Chantal Brinks-Kamphuis', 'Chantal Kamphuis'],
+      ['Bert-Jan Rietveld', 'Bert Jan Rietveld'],
+      ['Jesurajah Anton', 'Raja Anton'],
+      ['Wim Boluijt', 'Boluijt Wim']
+    ];
+    variants.forEach(variant => {
+      assert.deepEqual(pairs(variant), [variant], variant.join(' / '));
+    });
+  });
+  
+  it('does not pair different players', () => {
+    assert.deepEqual(pairs(['Wim Boluijt', 'Gesina Boluijt', 'Ferdinand Wiese', 'Fabian Biesheuvel']), []);
+  });
+  
+  it('skips pairs listed as not duplicates', () => {
+    const names = ['Jan van den Bosch', 'Jan van den Bosch sr.'];
+    assert.equal(suggestAliases(names, []).length, 1);
+    assert.deepEqual(suggestAliases(names, [['jan van den bosch sr.', 'Jan van den Bosch']]), []);
+  });
+});
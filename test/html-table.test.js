@@ -0,0 +1,74 @@
+/**
+ * Tests for the HTML table parser in scripts/html-table.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { decodeEntities, parseTables } = require('../scripts/html-table');
+
+describe('decodeEntities', () => {
+  it('decodes numeric references', () => {
+    assert.equal(decodeEntities('&#8211; &#x2013; &#X2013;'), '– – –');
+  });
+  
+  it('decodes named references', () => {
+    assert.equal(decodeEntities('C&eacute;dric &amp; Ren&eacute;e &hellip; T&ecirc;te-&agrave;-t&ecirc;te'), 'Cédric & Renée … Tête-à-tête');
+    assert.equal(decodeEntities('&ndash;&nbsp;&rsquo;'), '– ’');
+  });
+  
+  it('leaves unknown references as they are', () => {
+    assert.equal(decodeEntities('&unknown; &#0; AT&T'), '&unknown; &#0; AT&T');
+  });
+});
+
+describe('parseTables', () => {
+  it('returns the text of every cell without tags', () => {
+    const html = '<table><tr><td><strong>2025</strong></td><td><a href="#">Vince Exalto</a></td></tr></table>';
+    assert.deepEqual(parseTables(html)[0].rows, [['2025', 'Vince Exalto']]);
+  });
+  
+  it('collapses whitespace and keeps line breaks inside a cell', () => {
+    const html = '<table><tr><td class="has-text-align-left">\n  Cédric&nbsp;Brancourt<br>Jan van den Bosch\n</td></tr></table>';
+    assert.deepEqual(parseTables(html)[0].rows, [['Cédric Brancourt\nJan van den Bosch']]);
+  });
+  
+  it('detects header rows from <thead>, <th> and bold cells', () => {
+    const thead = '<table><thead><tr><td>Jaar</td></tr></thead><tbody><tr><td>2025</td></tr></tbody></table>';
+    const th = '<table><tr><th>Jaar</th><th>Naam</th></tr><tr><td>2025</td><td>Vince Exalto</td></tr></table>';
+    const bold = '<table><tr><td><strong>Jaar</strong></td><td><b>Naam</b></td></tr><tr><td>2025</td><td></td></tr></table>';
+    const none = '<table><tr><td>Jaar</td></tr><tr><td>2025</td></tr></table>';
+    
+    assert.deepEqual([thead, th, bold, none].map(html => parseTables(html)[0].headerRowCount), [1, 1, 1, 0]);
+  });
+  
+  it('expands rowspan and colspan into a grid', () => {
+    const html = `<table>
+      <tr><th>Jaar</th><th colspan="2">Tête-à-tête</th></tr>
+      <tr><td rowspan="2">2025</td><td>Fabian Biesheuvel</td><td>Gesina Boluijt</td></tr>
+      <tr><td>Vince Exalto</td><td>Eva Knoppersen</td></tr>
+    </table>`;
+    assert.deepEqual(parseTables(html)[0].rows, [
+      ['Jaar', 'Tête-à-tête', 'Tête-à-tête'],
+      ['2025', 'Fabian Biesheuvel', 'Gesina Boluijt'],
+      ['2025', 'Vince Exalto', 'Eva Knoppersen']
+    ]);
+  });
+  
+  it('returns every table, including nested ones, in document order', () => {
+    const html = `<table><tr><td>1</td><td><table><tr><td>nested</td></tr></table></td></tr></table>
+      <p>text between tables</p><table><tr><td>2</td></tr></table>`;
+    assert.deepEqual(parseTables(html).map(table => table.rows), [[['1', '']], [['nested']], [['2']]]);
+  });
+  
+  it('ignores comments, scripts and cells outside tables', () => {
+    const html = `<td>outside</td><table><!-- <tr><td>comment</td></tr> -->
+      <tr><td>2025<script>document.write("<td>script</td>")</script></td></tr></table>`;
+    assert.deepEqual(parseTables(html)[0].rows, [['2025']]);
+  });
+  
+  it('handles unclosed cells and rows', () => {
+    const html = '<table><tr><td>2025<td>Vince Exalto<tr><td>2024<td>Henk Docter</table>';
+    assert.deepEqual(parseTables(html)[0].rows, [['2025', 'Vince Exalto'], ['2024', 'Henk Docter']]);
+  });
+});
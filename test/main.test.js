@@ -0,0 +1,128 @@
+/**
+ * Tests for the standing and the name keys in src/scripts/main.js
+ * Loads the frontend scripts into a vm context, like test/records.test.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const extractor = require('../scripts/extract-data');
+
+const SCRIPTS = ['i18n.js', 'main.js'];
+
+const CATEGORIES = [
+  { key: 'championship_doubletten', type: 'championship', category: 'doubletten', column: 'champ-doubletten', points: 3, label: { nl: 'Doubletten', en: 'Doublettes' } },
+  { key: 'competition_zomercyclus', type: 'competition', category: 'zomercyclus', column: 'comp-zomercyclus', points: 1, label: { nl: 'Zomercyclus', en: 'Summer cycle' } }
+];
+
+const title = (year, category, winners, type = 'championship') => ({ year, type, category, poule: 'A', winners });
+
+// Cas won the most titles, but Ann's single championship is worth as many points; Dirk shares the
+// third place on titles but is last on points
+const RESULTS = [
+  title(2020, 'doubletten', ['Ann']),
+  title(2020, 'zomercyclus', ['Bob'], 'competition'),
+  title(2021, 'zomercyclus', ['Bob'], 'competition'),
+  title(2019, 'zomercyclus', ['Cas'], 'competition'),
+  title(2020, 'zomercyclus', ['Cas'], 'competition'),
+  title(2021, 'zomercyclus', ['Cas'], 'competition'),
+  title(2021, 'zomercyclus', ['Dirk'], 'competition')
+];
+
+/**
+ * Load the frontend scripts with the given results as data and rank the players
+ */
+function loadStanding(allResults, tieBreak = '') {
+  const context = vm.createContext({
+    console,
+    Intl,
+    document: { readyState: 'loading', addEventListener: () => {} },
+    localStorage: { getItem: () => null, setItem: () => {} }
+  });
+  
+  SCRIPTS.forEach(script => {
+    const file = path.join(__dirname, '..', 'src', 'scripts', script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  });
+  
+  context.data = { types: [], categories: CATEGORIES, allResults };
+  context.tieBreak = tieBreak;
+  vm.runInContext('hallOfFameData = data; categories = data.categories; currentTieBreak = tieBreak; refreshPlayers();', context);
+  return context;
+}
+
+/**
+ * The ranked players (allPlayers is a script global, not a property of the context)
+ */
+function getPlayers(context) {
+  return Array.from(vm.runInContext('allPlayers', context));
+}
+
+/**
+ * Players as [name, rank] pairs in the order of a rank field
+ */
+function getStanding(context, field) {
+  return getPlayers(context).map(player => [player.displayName, player[field]])
+    .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]));
+}
+
+describe('rankPlayers', () => {
+  it('ranks on titles and on points separately', () => {
+    const context = loadStanding(RESULTS);
+    
+    assert.deepEqual(getStanding(context, 'rank'), [['Cas', 1], ['Bob', 2], ['Ann', 3], ['Dirk', 3]]);
+    assert.deepEqual(getStanding(context, 'pointsRank'), [['Ann', 1], ['Cas', 1], ['Bob', 3], ['Dirk', 4]]);
+  });
+  
+  it('applies the tie-break on top of the points', () => {
+    const context = loadStanding(RESULTS, 'kampioenschap');
+    
+    assert.deepEqual(getStanding(context, 'pointsRank'), [['Ann', 1], ['Cas', 2], ['Bob', 3], ['Dirk', 4]]);
+  });
+  
+  it('measures the movement in each standing against the previous season', () => {
+    const context = loadStanding(RESULTS);
+    const changes = field => Object.fromEntries(getPlayers(context).map(player => [player.displayName, player[field]]));
+    
+    // After 2020: Cas 2 titles and 2 points, Ann 1 title and 3 points, Bob 1 title and 1 point
+    assert.deepEqual(changes('rankChange'), { Ann: -1, Bob: 0, Cas: 0, Dirk: null });
+    assert.deepEqual(changes('pointsRankChange'), { Ann: 0, Bob: 0, Cas: 1, Dirk: null });
+  });
+});
+
+describe('getShownRank', () => {
+  it('shows the points standing when the table is sorted by points', () => {
+    const context = loadStanding(RESULTS);
+    const shown = () => getPlayers(context).map(player => {
+      context.player = player;
+      return [player.displayName, vm.runInContext('getShownRank(player).rank', context), vm.runInContext('isTopThree(player)', context)];
+    }).sort((a, b) => a[0].localeCompare(b[0]));
+    
+    assert.deepEqual(shown(), [['Ann', 3, true], ['Bob', 2, true], ['Cas', 1, true], ['Dirk', 3, true]]);
+    
+    vm.runInContext("currentSort = { column: 'points', direction: 'desc' };", context);
+    assert.deepEqual(shown(), [['Ann', 1, true], ['Bob', 3, true], ['Cas', 1, true], ['Dirk', 4, false]]);
+  });
+});
+
+describe('name keys', () => {
+  const NAMES = ['Cédric Brancourt', '  Jan   van den  Bosch ', 'Ñoño Çàrlös', 'ÉMILE Zoë', 'Dušan Šťastný', 'Jean-Luc Ångström'];
+  
+  it('normalizes names like the extractor', () => {
+    const context = loadStanding([]);
+    NAMES.forEach(name => {
+      context.name = name;
+      assert.equal(vm.runInContext('normalizeName(name)', context), extractor.normalizeName(name));
+    });
+  });
+  
+  it('makes the same slugs as the API files of the extractor', () => {
+    const context = loadStanding([]);
+    NAMES.forEach(name => {
+      context.name = name;
+      assert.equal(vm.runInContext('slugify(name)', context), extractor.slugify(name));
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for the club records in src/scripts/records.js
+ * The frontend scripts share one global scope in the browser; here they are loaded into a single
+ * vm context in the same order as index.html, with just enough of a document to load main.js
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPTS = ['i18n.js', 'player.js', 'records.js', 'main.js'];
+
+const CATEGORIES = [
+  { key: 'championship_doubletten', type: 'championship', category: 'doubletten', column: 'champ-doubletten', icon: '🏅', label: { nl: 'Doubletten', en: 'Doublettes' } },
+  { key: 'championship_mix', type: 'championship', category: 'mix', column: 'champ-mix', icon: '🏅', label: { nl: 'Mix', en: 'Mixed' } },
+  { key: 'competition_tripletten', type: 'competition', category: 'tripletten', column: 'comp-tripletten', icon: '🥇', label: { nl: 'Tripletten', en: 'Triplettes' } }
+];
+
+/**
+ * Load the frontend scripts with the given results as data
+ */
+function loadRecords(allResults) {
+  const context = vm.createContext({
+    console,
+    Intl,
+    document: { readyState: 'loading', addEventListener: () => {} },
+    localStorage: { getItem: () => null, setItem: () => {} }
+  });
+  
+  SCRIPTS.forEach(script => {
+    const file = path.join(__dirname, '..', 'src', 'scripts', script);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file });
+  });
+  
+  context.data = { types: [], categories: CATEGORIES, allResults };
+  vm.runInContext('hallOfFameData = data; categories = data.categories; currentLanguage = "en";', context);
+  return context;
+}
+
+/**
+ * Records of one kind, as [names, count] pairs
+ */
+function getRecords(context, getter, results) {
+  context.results = results;
+  const entries = vm.runInContext(`${getter}(groupResultsByPlayer(results))`, context);
+  return Array.from(entries, entry => [entry.names.join(' & '), entry.count]);
+}
+
+const title = (year, category, winners, type = 'championship') => ({ year, type, category, poule: 'A', winners });
+
+describe('getTopRecords', () => {
+  it('merges team-mates who share the same titles', () => {
+    const results = [
+      title(2020, 'doubletten', ['Ann', 'Bob']),
+      title(2021, 'doubletten', ['Ann', 'Bob'])
+    ];
+    const context = loadRecords(results);
+    
+    assert.deepEqual(getRecords(context, 'getStreakRecords', results), [['Ann & Bob', 2]]);
+    assert.deepEqual(getRecords(context, 'getSeasonRecords', results), []);
+  });
+  
+  it('lists unrelated players who tie separately', () => {
+    const results = [
+      title(2020, 'doubletten', ['Ann', 'Bob']),
+      title(2020, 'mix', ['Ann', 'Cas']),
+      title(2020, 'tripletten', ['Dirk', 'Eva', 'Fay'], 'competition'),
+      title(2020, 'zomercyclus', ['Dirk'], 'competition')
+    ];
+    const context = loadRecords(results);
+    
+    // Ann and Dirk both won two titles in 2020, but not the same ones
+    assert.deepEqual(getRecords(context, 'getSeasonRecords', results), [['Ann', 2], ['Dirk', 2]]);
+  });
+  
+  it('does not merge equal waits between different titles', () => {
+    const results = [
+      title(2000, 'doubletten', ['Ann', 'Bob']),
+      title(2000, 'mix', ['Cas', 'Dirk']),
+      title(2010, 'doubletten', ['Ann', 'Eva']),
+      title(2010, 'mix', ['Cas', 'Dirk'])
+    ];
+    const context = loadRecords(results);
+    
+    assert.deepEqual(getRecords(context, 'getGapRecords', results), [['Ann', 10], ['Cas & Dirk', 10]]);
+  });
+});
+
+describe('getGrandSlamRecords', () => {
+  it('finds players who won every category, across types', () => {
+    const results = [
+      title(2001, 'doubletten', ['Ann', 'Bob']),
+      title(2003, 'mix', ['Ann', 'Cas']),
+      title(2004, 'tripletten', ['Ann', 'Bob', 'Dirk'], 'competition'),
+      title(2005, 'mix', ['Bob', 'Eva'])
+    ];
+    const context = loadRecords(results);
+    context.results = results;
+    
+    const years = type => Array.from(
+      vm.runInContext(`getGrandSlamRecords(groupResultsByPlayer(results), ${type})`, context),
+      entry => `${entry.names[0]} ${entry.year}`
+    );
+    
+    assert.deepEqual(years('null'), ['Ann 2004', 'Bob 2005']);
+    assert.deepEqual(years("'championship'"), ['Ann 2003', 'Bob 2005']);
+  });
+});